@@ -0,0 +1,82 @@
+/*
+ * Helpers for the admin HTTP API in server.js.
+ *
+ * Every admin request carries the token from ADMIN_TOKEN as a bearer token.
+ * Request bodies are checked against the schemas below with the same field
+ * checks as client messages (see lib/messages.js). Bans are kept in memory
+ * by address: they end when they expire or the server restarts.
+ */
+
+const crypto = require('crypto');
+const { number, integer, string, optional, isObject, checkFields } = require('./messages');
+
+const MAX_REASON_LENGTH = 120; // kept short, as it's sent as a WebSocket close reason
+const MAX_BAN_MINUTES = 60 * 24 * 365;
+
+const SCHEMAS = {
+  kick: { reason: optional(string(MAX_REASON_LENGTH)) },
+  ban: { reason: optional(string(MAX_REASON_LENGTH)), minutes: optional(integer(1, MAX_BAN_MINUTES)) },
+  config: {
+    scoreTarget: optional(integer(1, 99)),
+    ballCount: optional(integer(1, 50)),
+    playerSpeed: optional(number(10, 400)), // units per second
+  },
+  broadcast: { message: string(280), room: optional(string(64)) },
+};
+
+/**
+ * Whether an Authorization header carries the admin token. Both sides are
+ * hashed first so the comparison takes the same time whatever was sent.
+ */
+function tokenMatches(token, header) {
+  const match = /^Bearer (.+)$/.exec(header || '');
+  if (!match) return false;
+  const hash = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(hash(match[1]), hash(token));
+}
+
+/**
+ * Check the body of an admin request of the given kind. Returns what's
+ * wrong with it, or null if it's fine.
+ */
+function validateBody(kind, body) {
+  if (!isObject(body)) return 'body must be a JSON object';
+  return checkFields(body, SCHEMAS[kind], kind);
+}
+
+/**
+ * Banned addresses, each with the reason and when the ban ends (null for
+ * as long as the server runs).
+ */
+function createBanList(now = Date.now) {
+  const bans = new Map(); // address -> { address, reason, until }
+
+  // The ban on an address, or null if there is none or it has run out
+  function find(address) {
+    const ban = bans.get(address);
+    if (ban && ban.until !== null && ban.until <= now()) {
+      bans.delete(address);
+      return null;
+    }
+    return ban || null;
+  }
+
+  function add(address, reason, minutes = null) {
+    const ban = { address, reason, until: minutes === null ? null : now() + minutes * 60 * 1000 };
+    bans.set(address, ban);
+    return ban;
+  }
+
+  return {
+    find,
+    add,
+    lift: (address) => bans.delete(address),
+    list: () => Array.from(bans.keys()).map(find).filter(Boolean),
+  };
+}
+
+module.exports = {
+  tokenMatches,
+  validateBody,
+  createBanList,
+};
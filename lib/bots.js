@@ -0,0 +1,194 @@
+/*
+ * Computer-controlled players for Goal Ball.
+ *
+ * Bots play through the same simulation commands as people: the server
+ * adds them with a join command and each tick asks think() for their
+ * input, kick and tackle commands. A bot only knows what its team can see
+ * (the same view clients get), so bushes hide things from bots too.
+ *
+ * A bot fetches the nearest free ball, carries it to its goal and chases
+ * opponents carrying a ball, tackling them when close enough. Difficulty
+ * sets how often it reconsiders, how accurately it steers and whether it
+ * tackles and shoots.
+ */
+
+const Maps = require('./maps');
+const Simulation = require('./simulation');
+
+const DIFFICULTIES = {
+  easy: {
+    reaction: 500, // ms between decisions
+    aimError: 0.6, // radians of random steering error
+    chase: 0.5, // go for a carrier over a free ball this many times further away
+    tackleRange: 0, // distance to start a tackle from, 0 = never
+    shootRange: 0, // distance from goal to kick the ball in from, 0 = always carry
+  },
+  normal: {
+    reaction: 200,
+    aimError: 0.25,
+    chase: 1,
+    tackleRange: 25,
+    shootRange: 0,
+  },
+  hard: {
+    reaction: 70,
+    aimError: 0.05,
+    chase: 2,
+    tackleRange: 40,
+    shootRange: 80,
+  },
+};
+
+// How far ahead a bot looks for obstacles in its way
+const LOOKAHEAD = Simulation.PLAYER_RADIUS * 3;
+// Directions tried, in order, when the way ahead is blocked (radians off course)
+const DETOURS = [0, Math.PI / 4, -Math.PI / 4, Math.PI / 2, -Math.PI / 2, (3 * Math.PI) / 4, (-3 * Math.PI) / 4];
+
+function createBot(id, team, difficulty) {
+  return {
+    id,
+    team,
+    difficulty,
+    nextThink: 0, // tick of the next decision
+    lastX: null, // last input sent, so unchanged input isn't repeated
+    lastY: null,
+  };
+}
+
+function dist2(x1, y1, x2, y2) {
+  const dx = x1 - x2;
+  const dy = y1 - y2;
+  return dx * dx + dy * dy;
+}
+
+// Whether a ball kicked from `from` to `to` would clear every obstacle
+function clearPath(map, from, to) {
+  const steps = Math.ceil(Math.sqrt(dist2(from.x, from.y, to.x, to.y)) / Simulation.BALL_RADIUS);
+  for (let i = 1; i < steps; i++) {
+    const x = from.x + ((to.x - from.x) * i) / steps;
+    const y = from.y + ((to.y - from.y) * i) / steps;
+    if (Maps.obstacleAt(map, x, y, Simulation.BALL_RADIUS)) return false;
+  }
+  return true;
+}
+
+/**
+ * Direction from `player` towards (x, y), turned aside as little as
+ * possible to avoid running into an obstacle.
+ */
+function steer(map, player, x, y) {
+  const angle = Math.atan2(y - player.y, x - player.x);
+  for (const detour of DETOURS) {
+    const dx = Math.cos(angle + detour);
+    const dy = Math.sin(angle + detour);
+    if (!Maps.obstacleAt(map, player.x + dx * LOOKAHEAD, player.y + dy * LOOKAHEAD, Simulation.PLAYER_RADIUS)) {
+      return { x: dx, y: dy };
+    }
+  }
+  return { x: Math.cos(angle), y: Math.sin(angle) };
+}
+
+// Closest item to the player, with its squared distance
+function nearest(player, items) {
+  let best = null;
+  let bestD2 = Infinity;
+  for (const item of items) {
+    const d2 = dist2(player.x, player.y, item.x, item.y);
+    if (d2 < bestD2) {
+      best = item;
+      bestD2 = d2;
+    }
+  }
+  return { item: best, d2: bestD2 };
+}
+
+/**
+ * Decide what a bot does this tick. `view` is what its team can see,
+ * { players, balls }. Returns the simulation commands to queue, usually
+ * none as bots only reconsider every few ticks.
+ */
+function think(bot, state, view, random = Math.random) {
+  const me = state.players.get(bot.id);
+  if (!me || state.tick < bot.nextThink) return [];
+  const level = DIFFICULTIES[bot.difficulty];
+  bot.nextThink = state.tick + Simulation.msToTicks(state, level.reaction);
+  const { map } = state;
+  const { phase } = state.match;
+  const commands = [];
+  let target = null;
+
+  if (phase === 'waiting' || phase === 'playing') {
+    if (me.carryingBallId) {
+      const goal = map.goals[me.team];
+      target = goal;
+      if (phase === 'playing' && level.shootRange > 0
+        && dist2(me.x, me.y, goal.x, goal.y) < level.shootRange ** 2 && clearPath(map, me, goal)) {
+        commands.push({ type: 'kick', id: me.id, x: goal.x - me.x, y: goal.y - me.y, charge: 1 });
+      }
+    } else {
+      const carriers = view.players.filter((p) => p.team !== me.team && p.carryingBallId);
+      // Leave balls a teammate is closer to for them
+      const teammates = view.players.filter((p) => p.team === me.team && p.id !== me.id);
+      const free = view.balls.filter((b) => !b.carriedBy);
+      const mine = free.filter((b) => {
+        const d2 = dist2(me.x, me.y, b.x, b.y);
+        return !teammates.some((t) => dist2(t.x, t.y, b.x, b.y) < d2);
+      });
+      const carrier = nearest(me, carriers);
+      const ball = nearest(me, mine.length > 0 ? mine : free);
+      if (carrier.item && (!ball.item || carrier.d2 < ball.d2 * level.chase ** 2)) {
+        target = carrier.item;
+        if (phase === 'playing' && carrier.d2 < level.tackleRange ** 2 && state.tick >= me.tackleCooldownUntil) {
+          commands.push({ type: 'tackle', id: me.id, x: target.x - me.x, y: target.y - me.y });
+        }
+      } else {
+        target = ball.item;
+      }
+    }
+  }
+
+  let x = 0;
+  let y = 0;
+  if (target) {
+    const dir = steer(map, me, target.x, target.y);
+    const error = (random() * 2 - 1) * level.aimError;
+    x = Math.round((dir.x * Math.cos(error) - dir.y * Math.sin(error)) * 100) / 100;
+    y = Math.round((dir.x * Math.sin(error) + dir.y * Math.cos(error)) * 100) / 100;
+  }
+  if (x !== bot.lastX || y !== bot.lastY) {
+    bot.lastX = x;
+    bot.lastY = y;
+    commands.unshift({ type: 'input', id: me.id, x, y });
+  }
+  return commands;
+}
+
+/**
+ * How many bots each team needs so every team has as many players as the
+ * team with the most people, without the room going over `maxPlayers`.
+ * `humans` maps each team to its number of people. Teams short of the most
+ * players are filled first.
+ */
+function botTargets(humans, maxPlayers) {
+  const teams = Object.keys(humans);
+  const size = Math.max(...teams.map((team) => humans[team]));
+  let room = maxPlayers - teams.reduce((sum, team) => sum + humans[team], 0);
+  const targets = {};
+  for (const team of teams) targets[team] = 0;
+  for (let filled = 0; room > 0 && filled < size; filled++) {
+    for (const team of teams) {
+      if (room > 0 && humans[team] + targets[team] <= filled) {
+        targets[team] += 1;
+        room -= 1;
+      }
+    }
+  }
+  return targets;
+}
+
+module.exports = {
+  DIFFICULTIES,
+  createBot,
+  think,
+  botTargets,
+};
@@ -0,0 +1,115 @@
+/*
+ * Uniform grid broadphase for Goal Ball.
+ *
+ * Entities are dropped into square cells by position, and a query only
+ * looks at the cells around a point, so finding what is near something
+ * costs about the same however many entities are on the field. Queries
+ * return candidates: anything in the cells touched, which the caller still
+ * checks for real contact.
+ *
+ * Results come back in the order items were inserted, so a deterministic
+ * caller stays deterministic and visits items in the same order as a plain
+ * loop over them would.
+ */
+
+// Cell coordinates are kept within ±2^14, which covers any field at sane
+// sizes and keeps keys below 2^30, as small integers that are quick to hash
+const OFFSET = 0x4000;
+
+function cellKey(cx, cy) {
+  return (cx + OFFSET) * 0x8000 + (cy + OFFSET);
+}
+
+/**
+ * Create an empty grid of `cellSize` square cells. insert(item, x, y,
+ * radius) adds an item covering a circle (or a point, with no radius);
+ * query(x, y, radius) lists the items in the cells a circle touches.
+ */
+function createGrid(cellSize) {
+  const cells = new Map(); // cell key -> [{ order, item, stamp }], in insertion order
+  let inserted = 0;
+  let queries = 0; // the last query, stamped on the entries it has listed
+  const touched = []; // the cells the current query looks at
+  const heads = []; // how far through each of those cells the query is
+
+  function cellOf(value) {
+    return Math.floor(value / cellSize);
+  }
+
+  // Call visit(key) for every cell overlapping the circle's bounding box
+  function forCells(x, y, radius, visit) {
+    const maxX = cellOf(x + radius);
+    const maxY = cellOf(y + radius);
+    for (let cx = cellOf(x - radius); cx <= maxX; cx++) {
+      for (let cy = cellOf(y - radius); cy <= maxY; cy++) {
+        visit(cellKey(cx, cy));
+      }
+    }
+  }
+
+  function insert(item, x, y, radius = 0) {
+    const entry = { order: inserted++, item, stamp: 0 };
+    forCells(x, y, radius, (key) => {
+      const cell = cells.get(key);
+      if (cell) {
+        cell.push(entry);
+      } else {
+        cells.set(key, [entry]);
+      }
+    });
+  }
+
+  function touch(key) {
+    const cell = cells.get(key);
+    if (cell) touched.push(cell);
+  }
+
+  function query(x, y, radius = 0) {
+    const stamp = ++queries;
+    touched.length = 0;
+    forCells(x, y, radius, touch);
+    const found = [];
+    if (touched.length === 1) {
+      for (const entry of touched[0]) found.push(entry.item);
+      return found;
+    }
+    // Each cell is in insertion order, so merging them keeps that order. An
+    // item covering several cells is listed from the first and then skipped.
+    heads.length = 0;
+    for (let i = 0; i < touched.length; i++) heads.push(0);
+    for (;;) {
+      let next = -1;
+      for (let i = 0; i < touched.length; i++) {
+        const cell = touched[i];
+        while (heads[i] < cell.length && cell[heads[i]].stamp === stamp) heads[i]++;
+        if (heads[i] < cell.length && (next === -1 || cell[heads[i]].order < touched[next][heads[next]].order)) {
+          next = i;
+        }
+      }
+      if (next === -1) return found;
+      const entry = touched[next][heads[next]++];
+      entry.stamp = stamp;
+      found.push(entry.item);
+    }
+  }
+
+  return { insert, query };
+}
+
+/**
+ * Same interface as createGrid, without the grid: every query lists every
+ * item, in insertion order. It's the all-pairs check the grid replaces,
+ * which scripts/benchmark.js compares it against.
+ */
+function createLinearScan() {
+  const items = [];
+  return {
+    insert: (item) => items.push(item),
+    query: () => items.slice(),
+  };
+}
+
+module.exports = {
+  createGrid,
+  createLinearScan,
+};
@@ -0,0 +1,58 @@
+/*
+ * Interest management for Goal Ball.
+ *
+ * A player's client is only sent the part of its team's view (what bushes
+ * don't hide, see lib/visibility.js) that matters to it: whatever is
+ * within an area of interest around its own player, plus what is relevant
+ * wherever it is: the player itself, teammates carrying a ball and anything
+ * at a goal, where goals are scored. A carried ball goes wherever its
+ * carrier does.
+ *
+ * Entities already sent are kept until they are a little further out than
+ * where they came in, so something on the edge of the area doesn't flicker
+ * in and out.
+ */
+
+const LEAVE_FACTOR = 1.2; // entities a client has are dropped beyond radius * LEAVE_FACTOR
+const GOAL_MARGIN = 40; // units around a goal where everything is relevant
+
+function dist2(x1, y1, x2, y2) {
+  const dx = x1 - x2;
+  const dy = y1 - y2;
+  return dx * dx + dy * dy;
+}
+
+// Whether a point is in or near any goal on the map
+function atGoal(map, x, y) {
+  return Object.values(map.goals).some((goal) =>
+    Math.abs(x - goal.x) < goal.w / 2 + GOAL_MARGIN && Math.abs(y - goal.y) < goal.h / 2 + GOAL_MARGIN);
+}
+
+/**
+ * The players and balls of a team's `view` ({ players, balls }) that are
+ * relevant to the client playing `id` on `team`, within `radius` of its
+ * player. `known(entity)` says whether the client already has an entity.
+ * A radius of 0 turns filtering off and returns the view as it is.
+ */
+function relevantTo(state, view, { id, team, radius, known }) {
+  if (radius === 0) return view;
+  const me = state.players.get(id);
+  function near(entity) {
+    if (!me) return false;
+    const reach = known(entity) ? radius * LEAVE_FACTOR : radius;
+    return dist2(me.x, me.y, entity.x, entity.y) < reach ** 2;
+  }
+  const players = view.players.filter((player) =>
+    player.id === id ||
+    (player.team === team && player.carryingBallId !== null) ||
+    atGoal(state.map, player.x, player.y) ||
+    near(player));
+  const ids = new Set(players.map((player) => player.id));
+  const balls = view.balls.filter((ball) =>
+    (ball.carriedBy ? ids.has(ball.carriedBy) : atGoal(state.map, ball.x, ball.y) || near(ball)));
+  return { players, balls };
+}
+
+module.exports = {
+  relevantTo,
+};
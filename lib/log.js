@@ -0,0 +1,81 @@
+/*
+ * Structured logging for the Goal Ball server.
+ *
+ * Every log line is one JSON object: the time, the level, a short message
+ * and fields saying what it is about (room, player, address, ...), so logs
+ * can be filtered and counted by field instead of by matching sentences.
+ * Lines below the configured level are skipped. The text format prints the
+ * same lines for reading in a terminal.
+ *
+ * child(fields) gives a logger that adds `fields` to every line, such as
+ * one per room.
+ */
+
+const LEVELS = ['error', 'warn', 'info', 'debug']; // most to least severe
+const FORMATS = ['json', 'text'];
+
+// Errors don't survive JSON.stringify, so they're logged as their message and stack
+function serialize(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  return value;
+}
+
+// One line in the text format: time, level, message, then key=value fields
+function formatText(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const pairs = Object.entries(fields).map(([key, value]) => {
+    if (value && value.stack) return `${key}=${JSON.stringify(value.stack)}`;
+    const text = typeof value === 'string' && /^[^\s"=]+$/.test(value) ? value : JSON.stringify(value);
+    return `${key}=${text}`;
+  });
+  return [time, level.toUpperCase().padEnd(5), msg, ...pairs].join(' ');
+}
+
+// Errors and warnings go to stderr, everything else to stdout, as with console
+function writeToConsole(level, line) {
+  const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+/**
+ * Create a logger writing lines at `level` and above in `format`. Options:
+ * { level, format } as in LOG_LEVEL and LOG_FORMAT, and optionally
+ * { write(level, line), now() } for where lines go and the time they carry.
+ * Each level is a method: log.warn(message, fields).
+ */
+function createLogger({ level = 'info', format = 'json', write = writeToConsole, now = () => new Date() } = {}) {
+  if (!LEVELS.includes(level)) {
+    throw new Error(`Unknown log level "${level}"; use one of ${LEVELS.join(', ')}`);
+  }
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown log format "${format}"; use one of ${FORMATS.join(', ')}`);
+  }
+  const threshold = LEVELS.indexOf(level);
+
+  function logger(bound) {
+    const log = {};
+    for (const name of LEVELS) {
+      const enabled = LEVELS.indexOf(name) <= threshold;
+      log[name] = (msg, fields = {}) => {
+        if (!enabled) return;
+        const entry = { time: now().toISOString(), level: name, msg };
+        for (const [key, value] of Object.entries({ ...bound, ...fields })) {
+          if (value !== undefined) entry[key] = serialize(value);
+        }
+        write(name, format === 'json' ? JSON.stringify(entry) : formatText(entry));
+      };
+    }
+    log.child = (fields) => logger({ ...bound, ...fields });
+    log.enabled = (name) => LEVELS.indexOf(name) <= threshold;
+    return log;
+  }
+
+  return logger({});
+}
+
+module.exports = {
+  LEVELS,
+  createLogger,
+};
@@ -0,0 +1,116 @@
+/*
+ * Fixed-timestep update loop for a room.
+ *
+ * Timers in Node fire late and unevenly, so the loop doesn't step once per
+ * timer callback. It measures the real time that has passed and runs as
+ * many ticks of exactly `tickInterval` as fit into it, carrying the rest
+ * over to the next callback; the game then runs at the same speed however
+ * the timer drifts. After a stall it catches up at most `maxCatchUp` ticks
+ * and drops the rest rather than fast-forwarding through them.
+ *
+ * Sending state is decoupled from ticking: `broadcast` is called at most
+ * once every `broadcastInterval`, after the ticks that were due.
+ *
+ * metrics() counts the ticks that ran late or took longer than their
+ * interval, since the loop started.
+ */
+
+const { performance } = require('perf_hooks');
+
+const MAX_CATCH_UP = 5; // ticks run in one go after a stall
+
+/**
+ * Create a stopped loop. Options: { tickInterval, broadcastInterval } in ms,
+ * { tick, broadcast } callbacks, and optionally { maxCatchUp, now, onTick }
+ * where now() returns the time in ms and onTick(took) is told how many ms
+ * each tick took.
+ */
+function createLoop({
+  tickInterval,
+  broadcastInterval,
+  tick,
+  broadcast,
+  maxCatchUp = MAX_CATCH_UP,
+  now = () => performance.now(),
+  onTick = () => {},
+}) {
+  let timer = null;
+  let last = 0; // time of the previous run
+  let accumulator = 0; // ms of game time owed
+  let clock = 0; // ms of game time ticked
+  let nextBroadcast = 0; // game time the next broadcast is due
+  const metrics = {
+    ticks: 0, // ticks run
+    overruns: 0, // ticks whose work took longer than tickInterval
+    lateTicks: 0, // ticks run behind schedule, catching up
+    droppedTicks: 0, // ticks skipped after a stall
+    tickTime: 0, // ms spent ticking in total
+    maxTickTime: 0, // ms taken by the slowest tick
+  };
+
+  // Run the ticks and broadcast that are due now
+  function run() {
+    const time = now();
+    accumulator += time - last;
+    last = time;
+    let steps = 0;
+    while (accumulator >= tickInterval) {
+      if (steps === maxCatchUp) {
+        const behind = Math.floor(accumulator / tickInterval);
+        metrics.droppedTicks += behind;
+        accumulator -= behind * tickInterval;
+        break;
+      }
+      const start = now();
+      tick();
+      const took = now() - start;
+      accumulator -= tickInterval;
+      clock += tickInterval;
+      steps += 1;
+      metrics.ticks += 1;
+      metrics.tickTime += took;
+      metrics.maxTickTime = Math.max(metrics.maxTickTime, took);
+      if (took > tickInterval) metrics.overruns += 1;
+      onTick(took);
+    }
+    if (steps > 1) metrics.lateTicks += steps - 1;
+    // Allow for rounding, as the tick and broadcast intervals rarely add up exactly
+    if (steps > 0 && clock >= nextBroadcast - 1e-6) {
+      broadcast();
+      // Keep to the broadcast rate, but don't burst to make up for a stall
+      nextBroadcast = Math.max(nextBroadcast, clock) + broadcastInterval;
+    }
+  }
+
+  // Run, then sleep until the next tick is due, unless a callback stopped the loop
+  function loop() {
+    run();
+    if (timer !== null) {
+      timer = setTimeout(loop, Math.max(0, tickInterval - accumulator));
+    }
+  }
+
+  function start() {
+    if (timer !== null) return;
+    last = now();
+    accumulator = 0;
+    timer = setTimeout(loop, tickInterval);
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  // run() is what the timer calls; tests with their own clock can call it too
+  return {
+    start,
+    stop,
+    run,
+    metrics: () => ({ ...metrics }),
+  };
+}
+
+module.exports = {
+  createLoop,
+};
@@ -0,0 +1,308 @@
+/*
+ * Map definitions for Goal Ball.
+ *
+ * Maps are JSON files in the maps/ directory describing the teams that play
+ * on them, the field bounds, each team's goal and spawn points, the zones
+ * balls appear in, obstacles, bushes and the 3D model the client renders.
+ * The server validates every map at startup and sends the one a room plays
+ * on to its clients with init, so both sides work from the same geometry.
+ *
+ * Rectangles (goals, ball spawn zones, obstacles) are given by their centre
+ * and size, { x, y, w, h }; bushes are circles, { x, y, r }. A map can also
+ * ask for randomly placed obstacles and bushes with
+ * "generate": { "obstacles": n, "bushes": n }, laid out afresh per room.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Random layout generation
+const OBSTACLE_MIN_SIZE = 20;
+const OBSTACLE_MAX_SIZE = 60;
+const OBSTACLE_GAP = 20; // minimum space between obstacles so players fit through
+const SPAWN_CLEARANCE = 60; // keep random obstacles this far from goals and spawn points
+const BUSH_RADIUS = 15;
+
+// Every ball spawn zone must have a point this clear of goals and obstacles,
+// found on a lattice of ZONE_SCAN_STEPS by ZONE_SCAN_STEPS cells, so a ball
+// up to this radius always has somewhere to spawn
+const BALL_CLEARANCE = 10;
+const ZONE_SCAN_STEPS = 8;
+
+// Positions go over the wire as 16-bit integers in 1/16 units (see public/protocol.js)
+const MAX_FIELD_EXTENT = 4000;
+
+function fail(name, message) {
+  throw new Error(`Map "${name}": ${message}`);
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function checkPoint(name, label, point) {
+  if (!point || !isNumber(point.x) || !isNumber(point.y)) {
+    fail(name, `${label} must have numeric x and y`);
+  }
+}
+
+function checkRect(name, label, rect) {
+  checkPoint(name, label, rect);
+  if (!isNumber(rect.w) || !isNumber(rect.h) || rect.w <= 0 || rect.h <= 0) {
+    fail(name, `${label} must have a positive w and h`);
+  }
+}
+
+function checkInField(name, label, field, x, y) {
+  if (Math.abs(x) > field.width / 2 || Math.abs(y) > field.height / 2) {
+    fail(name, `${label} lies outside the field`);
+  }
+}
+
+// A rectangle must lie entirely within the field
+function checkRectInField(name, label, field, rect) {
+  if (Math.abs(rect.x) + rect.w / 2 > field.width / 2 || Math.abs(rect.y) + rect.h / 2 > field.height / 2) {
+    fail(name, `${label} extends past the field`);
+  }
+}
+
+/**
+ * Check a parsed map definition, throwing an Error that names the map and
+ * the offending entry. A map lists its teams as "teams": [...], or plays
+ * with `defaultTeams`; every team needs a goal and at least one spawn
+ * point. Returns the definition with optional lists defaulted.
+ */
+function validateMap(def, defaultTeams) {
+  const name = def.name;
+  if (typeof name !== 'string' || name.length === 0) {
+    fail(String(name), 'name must be a non-empty string');
+  }
+
+  const teams = def.teams === undefined ? defaultTeams : def.teams;
+  if (!Array.isArray(teams) || teams.length < 2) {
+    fail(name, 'teams must list at least two teams');
+  }
+  if (teams.some((team) => typeof team !== 'string' || team.length === 0) || new Set(teams).size !== teams.length) {
+    fail(name, 'teams must be distinct non-empty strings');
+  }
+  def.teams = teams.slice();
+
+  const { field } = def;
+  if (!field || !isNumber(field.width) || !isNumber(field.height) || field.width <= 0 || field.height <= 0) {
+    fail(name, 'field must have a positive width and height');
+  }
+  if (field.width > MAX_FIELD_EXTENT || field.height > MAX_FIELD_EXTENT) {
+    fail(name, `field can be at most ${MAX_FIELD_EXTENT} units across`);
+  }
+
+  if (def.model !== undefined && def.model !== null) {
+    if (typeof def.model.file !== 'string' || !isNumber(def.model.scale)) {
+      fail(name, 'model must have a file and a numeric scale');
+    }
+  }
+
+  for (const team of teams) {
+    const goal = def.goals && def.goals[team];
+    checkRect(name, `goal for team "${team}"`, goal);
+    checkInField(name, `goal for team "${team}"`, field, goal.x, goal.y);
+
+    const spawns = def.spawns && def.spawns[team];
+    if (!Array.isArray(spawns) || spawns.length === 0) {
+      fail(name, `team "${team}" needs at least one spawn point`);
+    }
+    spawns.forEach((spawn, i) => {
+      checkPoint(name, `spawn ${i} for team "${team}"`, spawn);
+      checkInField(name, `spawn ${i} for team "${team}"`, field, spawn.x, spawn.y);
+    });
+  }
+
+  if (!Number.isInteger(def.ballCount) || def.ballCount < 1) {
+    fail(name, 'ballCount must be a positive integer');
+  }
+  if (!Array.isArray(def.ballSpawnZones) || def.ballSpawnZones.length === 0) {
+    fail(name, 'ballSpawnZones must list at least one zone');
+  }
+
+  def.obstacles = def.obstacles || [];
+  def.obstacles.forEach((obstacle, i) => checkRect(name, `obstacle ${i}`, obstacle));
+
+  // Balls at rest are never pushed back into the field, so they must spawn in it
+  def.ballSpawnZones.forEach((zone, i) => {
+    checkRect(name, `ball spawn zone ${i}`, zone);
+    checkRectInField(name, `ball spawn zone ${i}`, field, zone);
+    if (!clearPointIn(def, zone, BALL_CLEARANCE)) {
+      fail(name, `ball spawn zone ${i} is covered by goals and obstacles`);
+    }
+  });
+
+  def.bushes = def.bushes || [];
+  def.bushes.forEach((bush, i) => {
+    checkPoint(name, `bush ${i}`, bush);
+    if (!isNumber(bush.r) || bush.r <= 0) {
+      fail(name, `bush ${i} must have a positive radius r`);
+    }
+  });
+
+  const generate = def.generate || {};
+  for (const key of ['obstacles', 'bushes']) {
+    if (generate[key] !== undefined && (!Number.isInteger(generate[key]) || generate[key] < 0)) {
+      fail(name, `generate.${key} must be a non-negative integer`);
+    }
+  }
+  return def;
+}
+
+/**
+ * Load and validate every .json map in a directory. Returns a Map of map
+ * name -> definition; throws on the first invalid map.
+ */
+function loadMaps(dir, defaultTeams) {
+  const maps = new Map();
+  const files = fs.readdirSync(dir).filter((file) => file.endsWith('.json')).sort();
+  for (const file of files) {
+    let def;
+    try {
+      def = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    } catch (err) {
+      throw new Error(`Map file ${file}: ${err.message}`);
+    }
+    if (def.name === undefined) {
+      def.name = path.basename(file, '.json');
+    }
+    maps.set(def.name, validateMap(def, defaultTeams));
+  }
+  return maps;
+}
+
+// Whether a circle at (x, y) overlaps any obstacle
+function obstacleAt(map, x, y, radius) {
+  return map.obstacles.some((o) =>
+    Math.abs(x - o.x) < o.w / 2 + radius && Math.abs(y - o.y) < o.h / 2 + radius);
+}
+
+// Bush containing a point, or null
+function bushAt(map, x, y) {
+  for (const bush of map.bushes) {
+    const dx = x - bush.x;
+    const dy = y - bush.y;
+    if (dx * dx + dy * dy < bush.r * bush.r) return bush;
+  }
+  return null;
+}
+
+// Whether a circle at (x, y) overlaps any team's goal
+function goalAt(map, x, y, radius) {
+  return Object.values(map.goals).some((g) =>
+    Math.abs(x - g.x) < g.w / 2 + radius && Math.abs(y - g.y) < g.h / 2 + radius);
+}
+
+/**
+ * The first point in a zone where a circle of `radius` is clear of
+ * obstacles and goals, trying the centre and then a lattice over the zone
+ * row by row, or null if there is none.
+ */
+function clearPointIn(map, zone, radius) {
+  const clear = (x, y) => !obstacleAt(map, x, y, radius) && !goalAt(map, x, y, radius);
+  if (clear(zone.x, zone.y)) return { x: zone.x, y: zone.y };
+  for (let i = 0; i <= ZONE_SCAN_STEPS; i++) {
+    for (let j = 0; j <= ZONE_SCAN_STEPS; j++) {
+      const x = zone.x + (j / ZONE_SCAN_STEPS - 0.5) * zone.w;
+      const y = zone.y + (i / ZONE_SCAN_STEPS - 0.5) * zone.h;
+      if (clear(x, y)) return { x, y };
+    }
+  }
+  return null;
+}
+
+function rectsOverlap(a, b, gap) {
+  return Math.abs(a.x - b.x) < (a.w + b.w) / 2 + gap && Math.abs(a.y - b.y) < (a.h + b.h) / 2 + gap;
+}
+
+/**
+ * Make the copy of a map a room plays on: the fixed obstacles and bushes
+ * plus any randomly generated ones. Random obstacles stay clear of goals,
+ * spawn points, each other and the clear point validation found in each
+ * ball spawn zone; random bushes stay clear of goals and obstacles. `random` returns numbers in [0, 1), so a seeded generator
+ * gives the same layout every time.
+ */
+function instantiateMap(def, random = Math.random) {
+  const map = {
+    ...def,
+    obstacles: def.obstacles.map((o) => ({ ...o })),
+    bushes: def.bushes.map((b) => ({ ...b })),
+  };
+  const { width, height } = map.field;
+  const goals = Object.values(map.goals);
+  const spawns = [].concat(...Object.values(map.spawns));
+  const ballPoints = def.ballSpawnZones.map((zone) => ({ ...clearPointIn(def, zone, BALL_CLEARANCE), w: 0, h: 0 }));
+  const generate = def.generate || {};
+
+  const obstacleTarget = map.obstacles.length + (generate.obstacles || 0);
+  for (let attempts = 0; map.obstacles.length < obstacleTarget && attempts < 200; attempts++) {
+    const w = Math.round(OBSTACLE_MIN_SIZE + random() * (OBSTACLE_MAX_SIZE - OBSTACLE_MIN_SIZE));
+    const h = Math.round(OBSTACLE_MIN_SIZE + random() * (OBSTACLE_MAX_SIZE - OBSTACLE_MIN_SIZE));
+    const candidate = {
+      x: Math.round((random() - 0.5) * (width - w - 2 * OBSTACLE_GAP)),
+      y: Math.round((random() - 0.5) * (height - h - 2 * OBSTACLE_GAP)),
+      w,
+      h,
+    };
+    if (goals.some((goal) => rectsOverlap(candidate, goal, SPAWN_CLEARANCE))) continue;
+    if (spawns.some((spawn) => rectsOverlap(candidate, { ...spawn, w: 0, h: 0 }, SPAWN_CLEARANCE))) continue;
+    if (ballPoints.some((point) => rectsOverlap(candidate, point, BALL_CLEARANCE))) continue;
+    if (map.obstacles.some((o) => rectsOverlap(candidate, o, OBSTACLE_GAP))) continue;
+    map.obstacles.push(candidate);
+  }
+
+  const bushTarget = map.bushes.length + (generate.bushes || 0);
+  for (let attempts = 0; map.bushes.length < bushTarget && attempts < 200; attempts++) {
+    const bush = {
+      x: Math.round((random() - 0.5) * (width - 2 * BUSH_RADIUS)),
+      y: Math.round((random() - 0.5) * (height - 2 * BUSH_RADIUS)),
+      r: BUSH_RADIUS,
+    };
+    const box = { x: bush.x, y: bush.y, w: bush.r * 2, h: bush.r * 2 };
+    if (goals.some((goal) => rectsOverlap(box, goal, SPAWN_CLEARANCE))) continue;
+    if (obstacleAt(map, bush.x, bush.y, bush.r)) continue;
+    map.bushes.push(bush);
+  }
+  return map;
+}
+
+/**
+ * Random position for a ball inside one of the map's ball spawn zones
+ * (picked in proportion to their area), clear of obstacles and goals. If
+ * random tries keep landing on something, it's the first clear point of a
+ * zone, which validation made sure there is for balls up to BALL_CLEARANCE.
+ */
+function randomBallPosition(map, radius, random = Math.random) {
+  const zones = map.ballSpawnZones;
+  const totalArea = zones.reduce((sum, zone) => sum + zone.w * zone.h, 0);
+  for (let attempts = 0; attempts < 50; attempts++) {
+    let pick = random() * totalArea;
+    let zone = zones[0];
+    for (const candidate of zones) {
+      zone = candidate;
+      pick -= candidate.w * candidate.h;
+      if (pick <= 0) break;
+    }
+    const x = zone.x + (random() - 0.5) * zone.w;
+    const y = zone.y + (random() - 0.5) * zone.h;
+    if (!obstacleAt(map, x, y, radius) && !goalAt(map, x, y, radius)) return { x, y };
+  }
+  for (const zone of zones) {
+    const point = clearPointIn(map, zone, radius);
+    if (point) return point;
+  }
+  throw new Error(`Map "${map.name}" has nowhere clear for a ball of radius ${radius}`);
+}
+
+module.exports = {
+  validateMap,
+  loadMaps,
+  instantiateMap,
+  obstacleAt,
+  goalAt,
+  bushAt,
+  randomBallPosition,
+};
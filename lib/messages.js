@@ -0,0 +1,152 @@
+/*
+ * Checks on what clients send over the WebSocket.
+ *
+ * Every message must be a JSON object whose `type` has a schema below and
+ * whose other fields match it; fields a schema doesn't list are refused
+ * too. The server drops anything that fails before acting on it, so NaN,
+ * strings where numbers belong or oversized names never reach a room or
+ * the simulation.
+ *
+ * The field specs and checkFields() are shared with other JSON the server
+ * takes in, such as admin requests (see lib/admin.js).
+ *
+ * createRateLimiter() limits how many messages a connection may send.
+ */
+
+const MAX_SEQ = 0xffffffff; // sequence numbers are u32 in the binary protocol
+
+// Field specs
+function number(min, max) {
+  return { kind: 'number', min, max };
+}
+
+function integer(min, max) {
+  return { kind: 'integer', min, max };
+}
+
+function string(maxLength) {
+  return { kind: 'string', maxLength };
+}
+
+const boolean = { kind: 'boolean' };
+
+function optional(spec) {
+  return { ...spec, optional: true };
+}
+
+function nullable(spec) {
+  return { ...spec, nullable: true };
+}
+
+// Name and character sent with createRoom and joinRoom; the server tidies
+// them up further (see sanitizeName in server.js)
+const PROFILE = {
+  name: optional(string(64)),
+  model: optional(string(32)),
+};
+
+const SCHEMAS = {
+  input: { x: number(-1, 1), y: number(-1, 1), seq: optional(integer(0, MAX_SEQ)) },
+  kick: { x: number(-1, 1), y: number(-1, 1), charge: number(0, 1) },
+  tackle: { x: number(-1, 1), y: number(-1, 1) },
+  chooseTeam: { team: nullable(string(32)) },
+  ack: { seq: integer(0, MAX_SEQ) },
+  listRooms: {},
+  createRoom: { room: optional(string(64)), map: optional(string(64)), bots: optional(string(16)), ...PROFILE },
+  joinRoom: { room: string(64), spectate: optional(boolean), ...PROFILE },
+  resume: { token: string(64) },
+  leaveRoom: {},
+};
+
+// What's wrong with one field's value, or null if nothing
+function checkField(value, spec) {
+  if (value === undefined) return spec.optional ? null : 'is missing';
+  if (value === null) return spec.nullable ? null : 'must not be null';
+  if (spec.kind === 'number' && !(Number.isFinite(value) && value >= spec.min && value <= spec.max)) {
+    return `must be a number from ${spec.min} to ${spec.max}`;
+  }
+  if (spec.kind === 'integer' && !(Number.isInteger(value) && value >= spec.min && value <= spec.max)) {
+    return `must be a whole number from ${spec.min} to ${spec.max}`;
+  }
+  if (spec.kind === 'string' && !(typeof value === 'string' && value.length <= spec.maxLength)) {
+    return `must be a string of at most ${spec.maxLength} characters`;
+  }
+  if (spec.kind === 'boolean' && typeof value !== 'boolean') {
+    return 'must be true or false';
+  }
+  return null;
+}
+
+// Shorten client-supplied text quoted in errors
+function quote(value) {
+  const text = String(value);
+  return JSON.stringify(text.length > 32 ? `${text.slice(0, 32)}…` : text);
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check an object's fields against a schema, naming them after `label` in
+ * what it returns: the first thing wrong with them, or null if nothing.
+ */
+function checkFields(fields, schema, label) {
+  for (const key of Object.keys(fields)) {
+    if (!Object.hasOwn(schema, key)) {
+      return `${label}: unexpected field ${quote(key)}`;
+    }
+  }
+  for (const [key, spec] of Object.entries(schema)) {
+    const problem = checkField(fields[key], spec);
+    if (problem) return `${label}.${key} ${problem}`;
+  }
+  return null;
+}
+
+/**
+ * Check a parsed message against its schema. Returns what's wrong with it,
+ * or null if it's fine.
+ */
+function validate(msg) {
+  if (!isObject(msg)) {
+    return 'message must be an object';
+  }
+  if (typeof msg.type !== 'string' || !Object.hasOwn(SCHEMAS, msg.type)) {
+    return `unknown message type ${quote(msg.type)}`;
+  }
+  const { type, ...fields } = msg;
+  return checkFields(fields, SCHEMAS[type], type);
+}
+
+/**
+ * Token bucket: up to `burst` messages at once, refilled at `rate` a
+ * second. take() uses up one message and says whether it was allowed.
+ */
+function createRateLimiter(rate, burst, now = Date.now) {
+  let tokens = burst;
+  let last = now();
+  return {
+    take() {
+      const time = now();
+      tokens = Math.min(burst, tokens + ((time - last) / 1000) * rate);
+      last = time;
+      if (tokens < 1) return false;
+      tokens -= 1;
+      return true;
+    },
+  };
+}
+
+module.exports = {
+  number,
+  integer,
+  string,
+  boolean,
+  optional,
+  nullable,
+  isObject,
+  checkFields,
+  validate,
+  createRateLimiter,
+};
@@ -0,0 +1,147 @@
+/*
+ * Server metrics in the Prometheus text format.
+ *
+ * A registry holds the metrics the server exposes on /metrics:
+ *  - counters only go up, by label (such as a close code);
+ *  - gauges are read when the metrics are rendered, by calling `collect`;
+ *  - summaries keep the most recent `size` observations and report
+ *    quantiles over them, plus a total sum and count.
+ * A rate counts events over the last few seconds, for gauges of things
+ * per second.
+ *
+ * See https://prometheus.io/docs/instrumenting/exposition_formats/
+ */
+
+const SUMMARY_SIZE = 4096; // observations a summary keeps
+const QUANTILES = [0.5, 0.9, 0.99];
+const RATE_WINDOW = 10; // seconds a rate is averaged over
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// `name{a="1",b="2"}`, or just the name without labels
+function series(name, labels = {}) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `${name}{${pairs.join(',')}}` : name;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Create an empty registry. Metrics are rendered in the order they were
+ * added.
+ */
+function createRegistry() {
+  const metrics = []; // { name, help, type, lines() }
+
+  function add(name, help, type, lines) {
+    if (metrics.some((metric) => metric.name === name)) {
+      throw new Error(`Metric ${name} already exists`);
+    }
+    metrics.push({ name, help, type, lines });
+  }
+
+  // inc(labels, amount) adds to the series with those labels
+  function counter(name, help) {
+    const values = new Map(); // series -> value
+    add(name, help, 'counter', () =>
+      (values.size > 0 ? Array.from(values, ([key, value]) => `${key} ${formatValue(value)}`) : [`${name} 0`]));
+    return {
+      inc(labels = {}, amount = 1) {
+        const key = series(name, labels);
+        values.set(key, (values.get(key) || 0) + amount);
+      },
+    };
+  }
+
+  // collect() returns a number, or a list of { labels, value }
+  function gauge(name, help, collect) {
+    add(name, help, 'gauge', () => {
+      const result = collect();
+      const list = typeof result === 'number' ? [{ labels: {}, value: result }] : result;
+      return list.map(({ labels, value }) => `${series(name, labels)} ${formatValue(value)}`);
+    });
+  }
+
+  // observe(value) records one observation
+  function summary(name, help, { size = SUMMARY_SIZE, quantiles = QUANTILES } = {}) {
+    const recent = [];
+    let next = 0; // where the next observation goes once `recent` is full
+    let sum = 0;
+    let count = 0;
+    add(name, help, 'summary', () => {
+      const sorted = recent.slice().sort((a, b) => a - b);
+      const lines = quantiles.map((q) => {
+        const value = sorted.length > 0 ? sorted[Math.max(0, Math.ceil(q * sorted.length) - 1)] : NaN;
+        return `${series(name, { quantile: q })} ${formatValue(value)}`;
+      });
+      lines.push(`${name}_sum ${formatValue(sum)}`, `${name}_count ${count}`);
+      return lines;
+    });
+    return {
+      observe(value) {
+        if (recent.length < size) {
+          recent.push(value);
+        } else {
+          recent[next] = value;
+          next = (next + 1) % size;
+        }
+        sum += value;
+        count += 1;
+      },
+    };
+  }
+
+  // Every metric in the text exposition format
+  function render() {
+    const lines = [];
+    for (const { name, help, type, lines: collect } of metrics) {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...collect());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  return { counter, gauge, summary, render };
+}
+
+/**
+ * Count events and tell how many there were a second, on average over the
+ * last `window` whole seconds. now() returns the time in ms.
+ */
+function createRate(window = RATE_WINDOW, now = Date.now) {
+  const buckets = new Map(); // whole second -> events in it
+
+  function prune(second) {
+    for (const key of buckets.keys()) {
+      if (key < second - window) buckets.delete(key);
+    }
+  }
+
+  return {
+    mark(amount = 1) {
+      const second = Math.floor(now() / 1000);
+      buckets.set(second, (buckets.get(second) || 0) + amount);
+      if (buckets.size > window + 2) prune(second);
+    },
+    // The second under way isn't over yet, so it's left out
+    perSecond() {
+      const second = Math.floor(now() / 1000);
+      prune(second);
+      let total = 0;
+      for (const [key, amount] of buckets) {
+        if (key < second) total += amount;
+      }
+      return total / window;
+    },
+  };
+}
+
+module.exports = {
+  createRegistry,
+  createRate,
+};
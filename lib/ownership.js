@@ -0,0 +1,111 @@
+/*
+ * Ball ownership for Goal Ball.
+ *
+ * A carried ball is linked from both sides: ball.carriedBy holds the
+ * carrier's id and player.carryingBallId the ball's. Every change of hands
+ * (pickup, kick, tackle, scoring, a player leaving) goes through these
+ * functions so the two sides can't drift apart, and checkOwnership repairs
+ * any links that do anyway. They only need a room's `players` and `balls`
+ * Maps, keyed by id.
+ */
+
+// The ball a player is carrying, or null
+function carriedBall(room, player) {
+  return (player.carryingBallId && room.balls.get(player.carryingBallId)) || null;
+}
+
+/**
+ * Give a free ball to a player who has empty hands. Returns false, changing
+ * nothing, if either side is already taken.
+ */
+function pickUp(player, ball) {
+  if (player.carryingBallId || ball.carriedBy) return false;
+  player.carryingBallId = ball.id;
+  ball.carriedBy = player.id;
+  ball.kickedBy = null;
+  ball.vx = 0;
+  ball.vy = 0;
+  return true;
+}
+
+/**
+ * Let go of whatever the player carries. The ball stays where it is, at
+ * rest and free for anyone to collect. Returns the released ball, if any.
+ */
+function release(room, player) {
+  const ball = carriedBall(room, player);
+  player.carryingBallId = null;
+  if (ball) {
+    ball.carriedBy = null;
+    ball.vx = 0;
+    ball.vy = 0;
+  }
+  return ball;
+}
+
+/**
+ * Knock the ball out of `from`'s hands: `to` takes it if their hands are
+ * empty, otherwise it drops loose. Returns true if the ball changed hands.
+ */
+function steal(room, from, to) {
+  const ball = release(room, from);
+  return ball ? pickUp(to, ball) : false;
+}
+
+/**
+ * Take a ball out of the game, e.g. once it has been scored, unlinking its
+ * carrier first. The caller spawns any replacement.
+ */
+function removeBall(room, ball) {
+  const carrier = ball.carriedBy && room.players.get(ball.carriedBy);
+  if (carrier && carrier.carryingBallId === ball.id) {
+    carrier.carryingBallId = null;
+  }
+  room.balls.delete(ball.id);
+}
+
+/**
+ * Find ball/player links that don't match up and repair them: balls carried
+ * by someone who isn't in the room or doesn't carry them back are dropped,
+ * and players pointing at a missing ball or one carried by someone else get
+ * empty hands. Returns a description of each repair, for logging.
+ */
+function checkOwnership(room) {
+  const problems = [];
+  for (const ball of room.balls.values()) {
+    if (!ball.carriedBy) continue;
+    const carrier = room.players.get(ball.carriedBy);
+    if (!carrier) {
+      problems.push(`ball ${ball.id} carried by missing player ${ball.carriedBy}`);
+    } else if (carrier.carryingBallId !== ball.id) {
+      problems.push(`ball ${ball.id} carried by player ${carrier.id}, who carries ${carrier.carryingBallId}`);
+    } else {
+      continue;
+    }
+    ball.carriedBy = null;
+    ball.vx = 0;
+    ball.vy = 0;
+  }
+  for (const player of room.players.values()) {
+    if (!player.carryingBallId) continue;
+    const ball = room.balls.get(player.carryingBallId);
+    if (!ball) {
+      problems.push(`player ${player.id} carries missing ball ${player.carryingBallId}`);
+    } else if (ball.carriedBy !== player.id) {
+      problems.push(`player ${player.id} carries ball ${ball.id}, which is carried by ${ball.carriedBy}`);
+    } else {
+      continue;
+    }
+    player.carryingBallId = null;
+  }
+  return problems;
+}
+
+module.exports = {
+  carriedBall,
+  pickUp,
+  release,
+  steal,
+  removeBall,
+  checkOwnership,
+};
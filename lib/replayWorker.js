@@ -0,0 +1,12 @@
+/*
+ * Worker thread playing a replay back into frames for the viewer (see
+ * renderFrames in lib/replays.js), so rooms keep ticking on the main thread
+ * while a long match is simulated again. The frames are posted back as
+ * JSON, ready to send.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const Replays = require('./replays');
+
+const { recording, interval } = workerData;
+parentPort.postMessage(JSON.stringify(Replays.renderFrames(recording, interval)));
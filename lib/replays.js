@@ -0,0 +1,245 @@
+/*
+ * Match replays for Goal Ball.
+ *
+ * A replay is the simulation state at the start of a match's countdown plus
+ * the commands applied on every tick after it. Because the simulation is
+ * deterministic (see lib/simulation.js), stepping the saved state through
+ * the saved commands plays the match out again exactly, so the files stay
+ * small: ticks without commands aren't stored at all.
+ *
+ * Replays are saved as JSON files named by their id in a directory; only
+ * the newest `limit` are kept. A recording is kept in memory until it's
+ * saved, so a match with no time limit and a score nobody reaches is only
+ * recorded for its first MAX_DURATION.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const Simulation = require('./simulation');
+const Log = require('./log');
+
+const REPLAY_VERSION = 3;
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+const FRAME_CACHE_SIZE = 4; // rendered replays kept in memory
+const MAX_DURATION = 30 * 60 * 1000; // ms of a match a recording covers at most
+
+/**
+ * Start recording a match from the given state. `info` is
+ * { id, room, seed } and is stored in the replay as-is.
+ */
+function startRecording(info, state) {
+  return {
+    version: REPLAY_VERSION,
+    ...info,
+    map: state.map.name,
+    startedAt: new Date().toISOString(),
+    tickRate: state.tickRate, // ticks per second
+    initialState: Simulation.serialize(state),
+    length: 0, // ticks recorded
+    ticks: [], // [tick number, commands] for ticks that had any
+    result: null, // { winner, scores } once the match finishes
+  };
+}
+
+// Add one tick and the commands it was stepped with. Returns true once the
+// recording is MAX_DURATION long, when it should be saved as it is.
+function recordTick(recording, commands) {
+  recording.length += 1;
+  if (commands.length > 0) {
+    recording.ticks.push([recording.length, commands]);
+  }
+  return recording.length >= Simulation.msToTicks(recording, MAX_DURATION);
+}
+
+/**
+ * Parse a saved replay, bringing older versions up to date so they play
+ * back like newer ones. Version 1 replays were recorded at a fixed 30 ticks
+ * a second and stored the tick length in ms as their tick rate; before
+ * version 3 the ball count and player speed weren't rules.
+ */
+function parse(text) {
+  const recording = JSON.parse(text);
+  const { initialState } = recording;
+  if (recording.version === 1) {
+    recording.tickRate = 1000 / recording.tickRate;
+    initialState.tickRate = recording.tickRate;
+  }
+  if (recording.version < 3) {
+    initialState.rules.ballCount = initialState.map.ballCount;
+    initialState.rules.playerSpeed = Simulation.PLAYER_SPEED;
+  }
+  recording.version = REPLAY_VERSION;
+  return recording;
+}
+
+// What the replay list shows about a recording
+function summarize(recording) {
+  return {
+    id: recording.id,
+    room: recording.room,
+    map: recording.map,
+    startedAt: recording.startedAt,
+    duration: Math.round((recording.length * 1000) / recording.tickRate),
+    result: recording.result,
+  };
+}
+
+/**
+ * Keeps the replays in a directory: an in-memory list of summaries, newest
+ * first, loaded from the files at startup. Files that can't be read, saved
+ * or deleted are reported to `log` (see lib/log.js).
+ */
+function createStore(dir, limit, log = Log.createLogger()) {
+  fs.mkdirSync(dir, { recursive: true });
+  const summaries = [];
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith('.json')) continue;
+    try {
+      summaries.push(summarize(parse(fs.readFileSync(path.join(dir, file), 'utf8'))));
+    } catch (err) {
+      log.warn('Skipping unreadable replay', { file, error: err.message });
+    }
+  }
+  summaries.sort((a, b) => (a.startedAt < b.startedAt ? 1 : -1));
+
+  function fileFor(id) {
+    return path.join(dir, `${id}.json`);
+  }
+
+  // Write a finished recording and drop the oldest replays over the limit
+  function save(recording) {
+    const summary = summarize(recording);
+    fs.promises.writeFile(fileFor(recording.id), JSON.stringify(recording))
+      .then(() => {
+        summaries.unshift(summary);
+        for (const old of summaries.splice(limit)) {
+          fs.promises.unlink(fileFor(old.id))
+            .catch((err) => log.error('Could not delete replay', { replay: old.id, error: err }));
+        }
+      })
+      .catch((err) => log.error('Could not save replay', { replay: recording.id, error: err }));
+  }
+
+  // Parsed replay, or null if there is no replay with that id
+  async function load(id) {
+    if (!ID_PATTERN.test(id) || !summaries.some((s) => s.id === id)) return null;
+    return parse(await fs.promises.readFile(fileFor(id), 'utf8'));
+  }
+
+  const rendered = new Map(); // `${interval}:${id}` -> promise of the frames as JSON, least recently used first
+  let rendering = Promise.resolve(); // the last render queued
+
+  /**
+   * The frames of a replay (see renderFrames) as JSON, or null if there is
+   * no replay with that id. Playing a whole match back takes a while, so it
+   * happens in a worker thread, one replay at a time, and the last few
+   * replays rendered are kept.
+   */
+  function frames(id, interval) {
+    if (!ID_PATTERN.test(id) || !summaries.some((s) => s.id === id)) return Promise.resolve(null);
+    const key = `${interval}:${id}`;
+    let result = rendered.get(key);
+    if (result) {
+      rendered.delete(key);
+    } else {
+      // The replay may have been deleted over the limit since the check above
+      result = rendering.then(() => load(id))
+        .then((recording) => (recording ? renderInWorker(recording, interval) : null));
+      rendering = result.catch(() => {});
+      result.then((json) => json === null && rendered.delete(key), () => rendered.delete(key));
+      if (rendered.size === FRAME_CACHE_SIZE) rendered.delete(rendered.keys().next().value);
+    }
+    rendered.set(key, result);
+    return result;
+  }
+
+  return {
+    save,
+    load,
+    frames,
+    list: () => summaries.slice(),
+    file: (id) => (ID_PATTERN.test(id) && summaries.some((s) => s.id === id) ? fileFor(id) : null),
+  };
+}
+
+// renderFrames as JSON, worked out in a worker thread (see lib/replayWorker.js)
+function renderInWorker(recording, interval) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'replayWorker.js'), { workerData: { recording, interval } });
+    worker.once('message', resolve);
+    worker.once('error', reject);
+    worker.once('exit', (code) => {
+      if (code !== 0) reject(new Error(`Replay worker stopped with exit code ${code}`));
+    });
+  });
+}
+
+/**
+ * Play a replay back through the simulation and return what a viewer
+ * needs: the map, rules and a frame about every `interval` ms, each shaped
+ * like a JSON state message.
+ */
+function renderFrames(recording, interval) {
+  let state = Simulation.deserialize(recording.initialState);
+  const commandsAt = new Map(recording.ticks);
+  const every = Math.max(1, Simulation.msToTicks(state, interval)); // ticks between frames
+  const frames = [frameOf(state, 0)];
+  for (let t = 1; t <= recording.length; t++) {
+    state = Simulation.step(state, commandsAt.get(t) || []).state;
+    if (t % every === 0 || t === recording.length) {
+      frames.push(frameOf(state, t));
+    }
+  }
+  return {
+    id: recording.id,
+    map: state.map,
+    teams: state.teams,
+    tickInterval: Simulation.tickInterval(state),
+    scoreTarget: state.rules.scoreTarget,
+    timeLimit: Math.round(state.rules.timeLimit * Simulation.tickInterval(state)),
+    frames,
+  };
+}
+
+// Positions only need a tenth of a unit for viewing
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function frameOf(state, tick) {
+  const frame = {
+    t: Math.round(tick * Simulation.tickInterval(state)), // ms since the replay started
+    tick: state.tick,
+    players: [],
+    balls: [],
+    scores: { ...state.teamScores },
+    phase: state.match.phase,
+    remaining: Simulation.phaseRemaining(state),
+    winner: state.match.winner,
+  };
+  for (const player of state.players.values()) {
+    frame.players.push({
+      id: player.id,
+      team: player.team,
+      name: player.name,
+      model: player.model,
+      bot: player.bot,
+      x: round(player.x),
+      y: round(player.y),
+      score: player.score,
+    });
+  }
+  for (const ball of state.balls.values()) {
+    frame.balls.push({ id: ball.id, x: round(ball.x), y: round(ball.y), carriedBy: ball.carriedBy });
+  }
+  return frame;
+}
+
+module.exports = {
+  MAX_DURATION,
+  startRecording,
+  recordTick,
+  createStore,
+  renderFrames,
+};
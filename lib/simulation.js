@@ -0,0 +1,813 @@
+/*
+ * Goal Ball game simulation.
+ *
+ * Every game rule lives here: movement, ball pickup and physics, kicks,
+ * tackles, scoring and the match phases. The simulation is deterministic:
+ * step(state, commands) returns the next state without touching the one it
+ * was given, random numbers come from a seeded generator kept in the state,
+ * and ball ids come from a counter unless an id generator is passed in. The
+ * server runs one state per room; tests drive it directly.
+ *
+ * Time is measured in ticks, state.tickRate of them a second; speeds are
+ * given per second and durations in ms, so the game plays the same at any
+ * tick rate.
+ *
+ * Commands are what the outside world asks for during a tick, applied in
+ * order before the tick runs:
+ *   { type: 'join', id, team, name, model, bot }
+ *                                     add a player at their team's next spawn
+ *   { type: 'leave', id }             remove a player, dropping their ball
+ *   { type: 'team', id, team }        move a player to another team's spawn
+ *   { type: 'input', id, x, y, seq }  movement direction, each axis in [-1, 1];
+ *                                     shorter than 1 moves slower
+ *   { type: 'kick', id, x, y, charge }
+ *   { type: 'tackle', id, x, y }
+ *   { type: 'drop', id }              let go of the ball, e.g. on disconnect
+ *   { type: 'rules', scoreTarget, ballCount, playerSpeed }
+ *                                     change the match rules, any of them
+ *   { type: 'resetScores' }           set every score back to 0
+ * step also returns the events of the tick, which the server passes on:
+ *   { type: 'phase' }                 the match phase changed
+ *   { type: 'rules' }                 the rules were changed
+ *   { type: 'tackle', ... }, { type: 'tackleHit', ... }  for clients
+ *   { type: 'repair', problem }       a broken carry link was fixed
+ */
+
+const Maps = require('./maps');
+const Ownership = require('./ownership');
+const Grid = require('./grid');
+
+// Movement
+const DEFAULT_TICK_RATE = 60; // ticks per second
+const PLAYER_SPEED = 90; // units per second
+const BALL_RADIUS = 3;
+const PLAYER_RADIUS = 5;
+
+// Kicking and ball physics
+const KICK_MIN_SPEED = 120; // units per second for an uncharged tap
+const KICK_MAX_SPEED = 420; // units per second at full charge
+const BALL_FRICTION = 0.96 ** 30; // velocity kept after a second of rolling
+const BALL_BOUNCE = 0.7; // velocity kept when bouncing off the field edge
+const BALL_STOP_SPEED = 1.5; // units per second; slower than this a rolling ball comes to rest
+const KICK_PICKUP_LOCK = 330; // ms before the kicker can collect their own kick
+
+// Tackling: a short dash that steals the ball from an opponent it hits
+const TACKLE_SPEED = 240; // units per second while dashing
+const TACKLE_DURATION = 200; // ms the dash lasts
+const TACKLE_COOLDOWN = 2000; // ms between tackles
+const TACKLE_STUN = 1000; // ms a tackled player can't move or pick up balls
+const TACKLE_REACH = PLAYER_RADIUS * 2 + 4; // contact distance for a tackle to land
+
+// Broadphase: players and balls are bucketed into grid cells this size
+// (see lib/grid.js) so contact checks only look at what is nearby
+const GRID_CELL_SIZE = 32;
+
+// How often to check and repair ball/player carry links
+const OWNERSHIP_CHECK_INTERVAL = 1000; // ms
+
+// Short entity ids fit the binary protocol's u16, where 0xffff means "none"
+const MAX_ENTITY_ID = 0xfffe;
+
+/**
+ * Seeded pseudo-random number in [0, 1) (mulberry32), advancing the
+ * generator kept in state.rngState.
+ */
+function random(state) {
+  state.rngState = (state.rngState + 0x6d2b79f5) >>> 0;
+  let t = state.rngState;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// Length of one tick of a state in ms
+function tickInterval(state) {
+  return 1000 / state.tickRate;
+}
+
+// Whole number of a state's ticks closest to a duration in ms
+function msToTicks(state, ms) {
+  return Math.round(ms / tickInterval(state));
+}
+
+/**
+ * Create the state of a new room. `def` is a validated map definition,
+ * laid out with the room's seed; rule durations are given in ms.
+ * Options: { def, teams, seed, rules: { scoreTarget, timeLimit, minPlayers,
+ * countdown, restartDelay, ballCount, playerSpeed }, tickRate, generateId }.
+ * Teams and the ball count default to the map's, the player speed to
+ * PLAYER_SPEED and the tick rate, in ticks per second, to DEFAULT_TICK_RATE.
+ */
+function createState({ def, teams = def.teams, seed, rules, tickRate = DEFAULT_TICK_RATE, generateId }) {
+  const state = {
+    tick: 0,
+    tickRate,
+    rngState: seed >>> 0,
+    map: null,
+    teams,
+    rules: null,
+    players: new Map(), // id -> player
+    balls: new Map(), // id -> ball
+    match: {
+      phase: 'waiting', // waiting -> countdown -> playing -> finished -> (countdown | waiting)
+      phaseEndsAt: null, // tick when countdown/playing/finished runs out
+      winner: null, // winning team once finished, null for a draw
+    },
+    teamScores: {},
+    nextEntityId: 1, // short ids for the binary protocol
+    nextBallNumber: 1, // for the default ball ids
+  };
+  // Rule durations in this state's ticks
+  state.rules = {
+    scoreTarget: rules.scoreTarget, // team goals needed to win
+    timeLimit: msToTicks(state, rules.timeLimit), // 0 = no limit
+    minPlayers: rules.minPlayers, // players needed before the countdown starts
+    countdown: msToTicks(state, rules.countdown),
+    restartDelay: msToTicks(state, rules.restartDelay), // result screen before the next match
+    ballCount: rules.ballCount ?? def.ballCount, // balls on the field
+    playerSpeed: rules.playerSpeed ?? PLAYER_SPEED, // units per second
+  };
+  // This room's copy of the map, with generated obstacles and bushes
+  state.map = Maps.instantiateMap(def, () => random(state));
+  resetMatch(state, createContext(state, generateId));
+  return state;
+}
+
+// Per-step helpers: new ids for spawned balls and the list of events
+function createContext(state, generateId) {
+  return {
+    newId: generateId || (() => `ball-${state.nextBallNumber++}`),
+    events: [],
+  };
+}
+
+// Copy of a state that can be changed without touching the original. The
+// map and teams never change and rules are replaced rather than changed,
+// so they are shared.
+function cloneState(state) {
+  return {
+    ...state,
+    players: new Map(Array.from(state.players, ([id, player]) => [id, { ...player }])),
+    balls: new Map(Array.from(state.balls, ([id, ball]) => [id, { ...ball }])),
+    match: { ...state.match },
+    teamScores: { ...state.teamScores },
+  };
+}
+
+/**
+ * Plain JSON-friendly copy of a state, e.g. for a replay file.
+ * deserialize turns it back into a state that step() accepts.
+ */
+function serialize(state) {
+  return {
+    ...state,
+    players: Array.from(state.players.values()),
+    balls: Array.from(state.balls.values()),
+  };
+}
+
+function deserialize(data) {
+  return cloneState({
+    ...data,
+    players: new Map(data.players.map((player) => [player.id, player])),
+    balls: new Map(data.balls.map((ball) => [ball.id, ball])),
+  });
+}
+
+/**
+ * Advance the simulation by one tick: apply the commands, then move
+ * everything. Returns { state, events }; the given state is left as it was.
+ * Options: { generateId } to choose the ids of newly spawned balls.
+ */
+function step(state, commands, options = {}) {
+  const next = cloneState(state);
+  const ctx = createContext(next, options.generateId);
+  for (const command of commands) {
+    applyCommand(next, ctx, command);
+  }
+  update(next, ctx);
+  return { state: next, events: ctx.events };
+}
+
+function applyCommand(state, ctx, command) {
+  if (command.type === 'join') {
+    addPlayer(state, command);
+    return;
+  }
+  if (command.type === 'rules') {
+    changeRules(state, ctx, command);
+    return;
+  }
+  if (command.type === 'resetScores') {
+    resetScores(state);
+    return;
+  }
+  const player = state.players.get(command.id);
+  if (!player) return;
+  if (command.type === 'leave') {
+    Ownership.release(state, player);
+    state.players.delete(player.id);
+  } else if (command.type === 'team') {
+    changeTeam(state, player, command.team);
+  } else if (command.type === 'input') {
+    // Input is a direction vector
+    const x = axis(command.x);
+    const y = axis(command.y);
+    player.dirX = x;
+    player.dirY = y;
+    if (x !== 0 || y !== 0) {
+      player.faceX = x;
+      player.faceY = y;
+    }
+    // Remember which input this is so the client can reconcile its prediction
+    if (Number.isInteger(command.seq)) {
+      player.lastInputSeq = command.seq;
+      player.seqTicks = 0;
+    }
+  } else if (command.type === 'kick') {
+    kickBall(state, player, command.x, command.y, command.charge);
+  } else if (command.type === 'tackle') {
+    startTackle(state, ctx, player, command.x, command.y);
+  } else if (command.type === 'drop') {
+    Ownership.release(state, player);
+  }
+}
+
+// Hand out the short numeric id an entity is known by on the binary protocol
+function allocateEntityId(state) {
+  const eid = state.nextEntityId;
+  state.nextEntityId = (state.nextEntityId % MAX_ENTITY_ID) + 1;
+  return eid;
+}
+
+// Create a new ball at a random spawn position on the map
+function spawnBall(state, ctx) {
+  const pos = Maps.randomBallPosition(state.map, BALL_RADIUS, () => random(state));
+  const ball = {
+    id: ctx.newId(),
+    eid: allocateEntityId(state),
+    x: pos.x,
+    y: pos.y,
+    vx: 0, // velocity while rolling free after a kick, units per second
+    vy: 0,
+    carriedBy: null, // which player id is currently carrying this ball
+    kickedBy: null, // last player to kick it, credited if it rolls into their goal
+    pickupLockUntil: 0, // tick until which the kicker can't pick it back up
+  };
+  state.balls.set(ball.id, ball);
+  return ball;
+}
+
+// Spawn point for the index-th player of a team, cycling through the map's list
+function spawnPoint(map, team, index) {
+  const spawns = map.spawns[team];
+  return spawns[index % spawns.length];
+}
+
+// Add a new player at the next free spawn point of their team. The display
+// name, character model and whether it's a bot are only kept for clients.
+function addPlayer(state, { id, team, name = null, model = null, bot = false }) {
+  if (state.players.has(id) || !state.teams.includes(team)) return;
+  let teammates = 0;
+  for (const other of state.players.values()) {
+    if (other.team === team) teammates += 1;
+  }
+  const spawn = spawnPoint(state.map, team, teammates);
+  state.players.set(id, {
+    id,
+    eid: allocateEntityId(state),
+    team,
+    name,
+    model,
+    bot,
+    x: spawn.x,
+    y: spawn.y,
+    dirX: 0,
+    dirY: 0,
+    // Last direction moved in, used for kicks without an explicit direction;
+    // starts off facing the middle of the field
+    faceX: spawn.x <= 0 ? 1 : -1,
+    faceY: 0,
+    score: 0,
+    carryingBallId: null,
+    tackleUntil: 0, // tick the current tackle dash ends
+    tackleDirX: 0,
+    tackleDirY: 0,
+    tackleCooldownUntil: 0, // tick the next tackle is allowed
+    stunnedUntil: 0, // tick a tackled player recovers
+    lastInputSeq: 0, // sequence number of the last input applied
+    seqTicks: 0, // ticks simulated since that input arrived, for client reconciliation
+  });
+}
+
+// Move a player to another team, dropping their ball and sending them to
+// the new team's next spawn point. Their own score goes with them.
+function changeTeam(state, player, team) {
+  if (team === player.team || !state.teams.includes(team)) return;
+  Ownership.release(state, player);
+  let teammates = 0;
+  for (const other of state.players.values()) {
+    if (other.team === team) teammates += 1;
+  }
+  const spawn = spawnPoint(state.map, team, teammates);
+  player.team = team;
+  player.x = spawn.x;
+  player.y = spawn.y;
+  player.tackleUntil = 0;
+}
+
+// Put a player back at their spawn point with nothing carried
+function resetPlayer(state, player) {
+  let index = 0;
+  for (const other of state.players.values()) {
+    if (other === player) break;
+    if (other.team === player.team) index += 1;
+  }
+  const spawn = spawnPoint(state.map, player.team, index);
+  player.x = spawn.x;
+  player.y = spawn.y;
+  player.score = 0;
+  Ownership.release(state, player);
+  player.tackleUntil = 0;
+  player.tackleCooldownUntil = 0;
+  player.stunnedUntil = 0;
+}
+
+/**
+ * Clear scores, send every player back to spawn and lay out a fresh set of
+ * balls, ready for the next match.
+ */
+function resetMatch(state, ctx) {
+  for (const team of state.teams) {
+    state.teamScores[team] = 0;
+  }
+  for (const player of state.players.values()) {
+    resetPlayer(state, player);
+  }
+  state.balls.clear();
+  for (let i = 0; i < state.rules.ballCount; i++) {
+    spawnBall(state, ctx);
+  }
+}
+
+// Check if a point is inside a team's goal
+function isInGoal(map, team, x, y) {
+  const goal = map.goals[team];
+  return Math.abs(x - goal.x) < goal.w / 2 && Math.abs(y - goal.y) < goal.h / 2;
+}
+
+// Keep a circle of the given radius inside the field
+function clampToField(map, entity, radius) {
+  const halfW = map.field.width / 2 - radius;
+  const halfH = map.field.height / 2 - radius;
+  entity.x = Math.max(-halfW, Math.min(halfW, entity.x));
+  entity.y = Math.max(-halfH, Math.min(halfH, entity.y));
+}
+
+/**
+ * Push a circular entity out of any obstacle it overlaps. Returns the
+ * contact normal of the last obstacle hit, or null if it was clear.
+ */
+function pushOutOfObstacles(map, entity, radius) {
+  let normal = null;
+  for (const o of map.obstacles) {
+    const left = o.x - o.w / 2;
+    const right = o.x + o.w / 2;
+    const top = o.y - o.h / 2;
+    const bottom = o.y + o.h / 2;
+    // Closest point on the rectangle to the entity's centre
+    const cx = Math.max(left, Math.min(right, entity.x));
+    const cy = Math.max(top, Math.min(bottom, entity.y));
+    const dx = entity.x - cx;
+    const dy = entity.y - cy;
+    const d2 = dx * dx + dy * dy;
+    if (d2 >= radius * radius) continue;
+    if (d2 > 0) {
+      const d = Math.sqrt(d2);
+      normal = { x: dx / d, y: dy / d };
+      entity.x = cx + normal.x * radius;
+      entity.y = cy + normal.y * radius;
+    } else {
+      // Centre is inside the rectangle: leave through the nearest side
+      const exits = [
+        { dist: entity.x - left, x: -1, y: 0 },
+        { dist: right - entity.x, x: 1, y: 0 },
+        { dist: entity.y - top, x: 0, y: -1 },
+        { dist: bottom - entity.y, x: 0, y: 1 },
+      ];
+      const exit = exits.reduce((a, b) => (b.dist < a.dist ? b : a));
+      normal = { x: exit.x, y: exit.y };
+      entity.x += exit.x * (exit.dist + radius);
+      entity.y += exit.y * (exit.dist + radius);
+    }
+  }
+  return normal;
+}
+
+// Calculate squared distance between two points
+function dist2(x1, y1, x2, y2) {
+  const dx = x1 - x2;
+  const dy = y1 - y2;
+  return dx * dx + dy * dy;
+}
+
+function setPhase(state, ctx, phase, duration) {
+  state.match.phase = phase;
+  state.match.phaseEndsAt = duration ? state.tick + duration : null;
+  ctx.events.push({ type: 'phase' });
+}
+
+/**
+ * Time left in the current phase in ms, or null when it has no limit.
+ */
+function phaseRemaining(state) {
+  const { phaseEndsAt } = state.match;
+  return phaseEndsAt === null ? null : Math.max(0, Math.round((phaseEndsAt - state.tick) * tickInterval(state)));
+}
+
+// Team with the highest score, or null when the top score is shared
+function leadingTeam(state) {
+  let best = null;
+  let bestScore = -1;
+  let tied = false;
+  for (const team of state.teams) {
+    const score = state.teamScores[team];
+    if (score > bestScore) {
+      best = team;
+      bestScore = score;
+      tied = false;
+    } else if (score === bestScore) {
+      tied = true;
+    }
+  }
+  return tied ? null : best;
+}
+
+function finishMatch(state, ctx, winner) {
+  state.match.winner = winner;
+  setPhase(state, ctx, 'finished', state.rules.restartDelay);
+}
+
+/**
+ * Advance the match state machine. Called at the start of every tick.
+ */
+function updateMatch(state, ctx) {
+  const { match, rules, tick } = state;
+  const enoughPlayers = state.players.size >= rules.minPlayers;
+  switch (match.phase) {
+    case 'waiting':
+      if (enoughPlayers) {
+        resetMatch(state, ctx);
+        setPhase(state, ctx, 'countdown', rules.countdown);
+      }
+      break;
+    case 'countdown':
+      if (!enoughPlayers) {
+        setPhase(state, ctx, 'waiting');
+      } else if (tick >= match.phaseEndsAt) {
+        setPhase(state, ctx, 'playing', rules.timeLimit);
+      }
+      break;
+    case 'playing':
+      if (match.phaseEndsAt !== null && tick >= match.phaseEndsAt) {
+        finishMatch(state, ctx, leadingTeam(state));
+      }
+      break;
+    case 'finished':
+      if (tick >= match.phaseEndsAt) {
+        match.winner = null;
+        resetMatch(state, ctx);
+        if (enoughPlayers) {
+          setPhase(state, ctx, 'countdown', rules.countdown);
+        } else {
+          setPhase(state, ctx, 'waiting');
+        }
+      }
+      break;
+  }
+}
+
+/**
+ * Change some of the rules mid-match. A new ball count is laid out or
+ * taken away at once, removing free balls newest first; carried ones go
+ * when they are scored. A match already at a lowered score target ends.
+ */
+function changeRules(state, ctx, { scoreTarget, ballCount, playerSpeed }) {
+  const rules = { ...state.rules };
+  if (scoreTarget !== undefined) rules.scoreTarget = scoreTarget;
+  if (ballCount !== undefined) rules.ballCount = ballCount;
+  if (playerSpeed !== undefined) rules.playerSpeed = playerSpeed;
+  state.rules = rules;
+  ctx.events.push({ type: 'rules' });
+
+  while (state.balls.size < rules.ballCount) {
+    spawnBall(state, ctx);
+  }
+  const free = Array.from(state.balls.values()).filter((ball) => !ball.carriedBy);
+  while (state.balls.size > rules.ballCount && free.length > 0) {
+    Ownership.removeBall(state, free.pop());
+  }
+
+  const leader = leadingTeam(state);
+  if (state.match.phase === 'playing' && leader && state.teamScores[leader] >= rules.scoreTarget) {
+    finishMatch(state, ctx, leader);
+  }
+}
+
+// Set team and player scores back to 0, leaving everyone where they are
+function resetScores(state) {
+  for (const team of state.teams) {
+    state.teamScores[team] = 0;
+  }
+  for (const player of state.players.values()) {
+    player.score = 0;
+  }
+}
+
+/**
+ * Award a goal to the player's team and replace the scored ball with a new
+ * one. Ends the match when the team reaches the score target.
+ */
+function scoreGoal(state, ctx, player, ball) {
+  player.score += 1;
+  state.teamScores[player.team] += 1;
+  // Respawn ball somewhere else, unless the ball count was lowered since
+  Ownership.removeBall(state, ball);
+  if (state.balls.size < state.rules.ballCount) {
+    spawnBall(state, ctx);
+  }
+  if (state.teamScores[player.team] >= state.rules.scoreTarget) {
+    finishMatch(state, ctx, player.team);
+  }
+}
+
+// A direction component from a command, clamped to [-1, 1]; 0 if it isn't a number
+function axis(value) {
+  return Number.isFinite(value) ? Math.max(-1, Math.min(1, value)) : 0;
+}
+
+// Unit direction from a requested vector, falling back to the way the player faces
+function aimDirection(player, dirX, dirY) {
+  let x = axis(dirX);
+  let y = axis(dirY);
+  let mag = Math.sqrt(x * x + y * y);
+  if (mag === 0) {
+    x = player.faceX;
+    y = player.faceY;
+    mag = Math.sqrt(x * x + y * y);
+  }
+  return { x: x / mag, y: y / mag };
+}
+
+/**
+ * Kick the ball a player is carrying. Direction falls back to the way the
+ * player is facing; charge in [0, 1] scales the kick speed.
+ */
+function kickBall(state, player, dirX, dirY, charge) {
+  const { phase } = state.match;
+  if (phase !== 'waiting' && phase !== 'playing') return;
+  if (state.tick < player.stunnedUntil) return;
+  const ball = Ownership.release(state, player);
+  if (!ball) return;
+
+  const dir = aimDirection(player, dirX, dirY);
+  const power = Number.isFinite(charge) ? Math.max(0, Math.min(1, charge)) : 0;
+  const speed = KICK_MIN_SPEED + (KICK_MAX_SPEED - KICK_MIN_SPEED) * power;
+  ball.vx = dir.x * speed;
+  ball.vy = dir.y * speed;
+  ball.kickedBy = player.id;
+  ball.pickupLockUntil = state.tick + msToTicks(state, KICK_PICKUP_LOCK);
+}
+
+/**
+ * Start a tackle dash in the given direction, or the way the player is
+ * facing. Ignored while stunned, already dashing or on cooldown.
+ */
+function startTackle(state, ctx, player, dirX, dirY) {
+  const { phase } = state.match;
+  if (phase !== 'waiting' && phase !== 'playing') return;
+  if (state.tick < player.stunnedUntil || state.tick < player.tackleCooldownUntil) return;
+
+  const dir = aimDirection(player, dirX, dirY);
+  player.tackleDirX = dir.x;
+  player.tackleDirY = dir.y;
+  player.tackleUntil = state.tick + msToTicks(state, TACKLE_DURATION);
+  player.tackleCooldownUntil = state.tick + msToTicks(state, TACKLE_COOLDOWN);
+  ctx.events.push({
+    type: 'tackle',
+    by: player.id,
+    x: player.tackleDirX,
+    y: player.tackleDirY,
+    cooldown: TACKLE_COOLDOWN,
+  });
+}
+
+/**
+ * A tackle connected: stun the target and take their ball. The tackler
+ * keeps the ball if their hands are free, otherwise it drops loose.
+ */
+function landTackle(state, ctx, tackler, target) {
+  tackler.tackleUntil = state.tick;
+  target.stunnedUntil = state.tick + msToTicks(state, TACKLE_STUN);
+  target.tackleUntil = state.tick;
+  const stole = Ownership.steal(state, target, tackler);
+  ctx.events.push({
+    type: 'tackleHit',
+    by: tackler.id,
+    target: target.id,
+    stole,
+    stun: TACKLE_STUN,
+  });
+}
+
+/**
+ * Move free balls by their velocity, bounce them off the field edges and
+ * slow them down. A kicked ball rolling into the kicker's goal scores.
+ */
+function updateBalls(state, ctx) {
+  const { map } = state;
+  const dt = 1 / state.tickRate; // seconds
+  const friction = BALL_FRICTION ** dt;
+  const maxX = map.field.width / 2 - BALL_RADIUS;
+  const maxY = map.field.height / 2 - BALL_RADIUS;
+  const minX = -maxX;
+  const minY = -maxY;
+  for (const ball of Array.from(state.balls.values())) {
+    if (ball.carriedBy || (ball.vx === 0 && ball.vy === 0)) continue;
+    ball.x += ball.vx * dt;
+    ball.y += ball.vy * dt;
+    if (ball.x < minX || ball.x > maxX) {
+      ball.x = Math.max(minX, Math.min(maxX, ball.x));
+      ball.vx = -ball.vx * BALL_BOUNCE;
+    }
+    if (ball.y < minY || ball.y > maxY) {
+      ball.y = Math.max(minY, Math.min(maxY, ball.y));
+      ball.vy = -ball.vy * BALL_BOUNCE;
+    }
+    // Bounce off obstacles by reflecting the velocity about the contact normal
+    const normal = pushOutOfObstacles(map, ball, BALL_RADIUS);
+    if (normal) {
+      const along = ball.vx * normal.x + ball.vy * normal.y;
+      if (along < 0) {
+        ball.vx -= (1 + BALL_BOUNCE) * along * normal.x;
+        ball.vy -= (1 + BALL_BOUNCE) * along * normal.y;
+      }
+    }
+    ball.vx *= friction;
+    ball.vy *= friction;
+    if (Math.sqrt(ball.vx * ball.vx + ball.vy * ball.vy) < BALL_STOP_SPEED) {
+      ball.vx = 0;
+      ball.vy = 0;
+    }
+
+    const kicker = ball.kickedBy && state.players.get(ball.kickedBy);
+    if (state.match.phase === 'playing' && kicker && isInGoal(map, kicker.team, ball.x, ball.y)) {
+      scoreGoal(state, ctx, kicker, ball);
+      if (state.match.phase === 'finished') return;
+    }
+  }
+}
+
+/**
+ * Run one tick of the game: match phases, movement, ball physics, pickups,
+ * tackles and collisions.
+ */
+function update(state, ctx) {
+  const { players, balls } = state;
+  const dt = 1 / state.tickRate; // seconds
+  state.tick += 1;
+
+  updateMatch(state, ctx);
+  // Players are frozen during the countdown and on the result screen; while
+  // waiting for opponents they can warm up, but goals only count when live.
+  const { phase } = state.match;
+  const canMove = phase === 'waiting' || phase === 'playing';
+
+  // Move players
+  for (const player of players.values()) {
+    const stunned = state.tick < player.stunnedUntil;
+    if (canMove && state.tick < player.tackleUntil) {
+      // Dashing: the tackle direction overrides input until the dash ends
+      player.x += player.tackleDirX * TACKLE_SPEED * dt;
+      player.y += player.tackleDirY * TACKLE_SPEED * dt;
+      clampToField(state.map, player, PLAYER_RADIUS);
+    } else if (canMove && !stunned && (player.dirX !== 0 || player.dirY !== 0)) {
+      // Normalise direction to prevent faster diagonal movement; an analog
+      // stick pushed part of the way moves the player that much slower
+      const mag = Math.sqrt(player.dirX * player.dirX + player.dirY * player.dirY);
+      const speed = state.rules.playerSpeed * dt * Math.min(1, mag);
+      player.x += (player.dirX / mag) * speed;
+      player.y += (player.dirY / mag) * speed;
+
+      // Constrain to world bounds
+      clampToField(state.map, player, PLAYER_RADIUS);
+    }
+    pushOutOfObstacles(state.map, player, PLAYER_RADIUS);
+    player.seqTicks += 1;
+
+    // If carrying a ball, update ball position to follow
+    const carried = Ownership.carriedBall(state, player);
+    if (carried) {
+      carried.x = player.x;
+      carried.y = player.y;
+    }
+
+    // Check for scoring: if player is in their own goal while carrying a ball
+    if (phase === 'playing' && carried && isInGoal(state.map, player.team, player.x, player.y)) {
+      scoreGoal(state, ctx, player, carried);
+      if (state.match.phase === 'finished') break;
+    }
+  }
+
+  // Rolling balls
+  updateBalls(state, ctx);
+
+  // Collision detection: players pick up nearby balls if not carrying.
+  // Moving balls can be collected too, which is how passes are received.
+  const pickupRange = PLAYER_RADIUS + BALL_RADIUS;
+  const freeBalls = Grid.createGrid(GRID_CELL_SIZE);
+  for (const ball of balls.values()) {
+    if (!ball.carriedBy) freeBalls.insert(ball, ball.x, ball.y);
+  }
+  for (const player of players.values()) {
+    if (player.carryingBallId || state.tick < player.stunnedUntil) continue;
+    for (const ball of freeBalls.query(player.x, player.y, pickupRange)) {
+      if (ball.carriedBy) continue; // picked up by someone else this tick
+      if (ball.kickedBy === player.id && state.tick < ball.pickupLockUntil) continue; // just kicked it
+      const d2 = dist2(player.x, player.y, ball.x, ball.y);
+      if (d2 < pickupRange ** 2 && Ownership.pickUp(player, ball)) {
+        break;
+      }
+    }
+  }
+
+  // Collision detection: tackles landing on opponents, and players pushing
+  // apart. Each pair is handled once, in the order players joined. Pushes
+  // move players away from where the grid has them, so the search reaches
+  // a little further than contact.
+  const playersArray = Array.from(players.values());
+  const order = new Map(playersArray.map((player, i) => [player, i]));
+  const nearbyPlayers = Grid.createGrid(GRID_CELL_SIZE);
+  for (const player of playersArray) {
+    nearbyPlayers.insert(player, player.x, player.y);
+  }
+  const searchRange = Math.max(TACKLE_REACH, PLAYER_RADIUS * 2) + PLAYER_RADIUS * 2;
+  for (let i = 0; i < playersArray.length; i++) {
+    const p1 = playersArray[i];
+    for (const p2 of nearbyPlayers.query(p1.x, p1.y, searchRange)) {
+      if (order.get(p2) <= i) continue;
+      const d2 = dist2(p1.x, p1.y, p2.x, p2.y);
+      if (p1.team !== p2.team && d2 < TACKLE_REACH ** 2) {
+        if (state.tick < p1.tackleUntil) {
+          landTackle(state, ctx, p1, p2);
+        } else if (state.tick < p2.tackleUntil) {
+          landTackle(state, ctx, p2, p1);
+        }
+      }
+      const collisionDist2 = (PLAYER_RADIUS * 2) ** 2;
+      if (d2 < collisionDist2) {
+        // If players collide, they bounce slightly apart
+        // Simple separation vector
+        const dx = p1.x - p2.x;
+        const dy = p1.y - p2.y;
+        const mag = Math.sqrt(dx * dx + dy * dy) || 0.0001;
+        const overlap = Math.sqrt(collisionDist2 - d2) / 2;
+        const nx = dx / mag;
+        const ny = dy / mag;
+        p1.x += nx * overlap;
+        p1.y += ny * overlap;
+        p2.x -= nx * overlap;
+        p2.y -= ny * overlap;
+      }
+    }
+  }
+  // Being pushed apart must not shove anyone into an obstacle
+  for (const player of playersArray) {
+    pushOutOfObstacles(state.map, player, PLAYER_RADIUS);
+  }
+
+  // Repair any carry links that have gone out of step
+  if (state.tick % Math.max(1, msToTicks(state, OWNERSHIP_CHECK_INTERVAL)) === 0) {
+    for (const problem of Ownership.checkOwnership(state)) {
+      ctx.events.push({ type: 'repair', problem });
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_TICK_RATE,
+  PLAYER_SPEED,
+  PLAYER_RADIUS,
+  BALL_RADIUS,
+  TACKLE_SPEED,
+  TACKLE_DURATION,
+  TACKLE_REACH,
+  createState,
+  tickInterval,
+  msToTicks,
+  step,
+  serialize,
+  deserialize,
+  phaseRemaining,
+  random,
+};
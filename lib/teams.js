@@ -0,0 +1,60 @@
+/*
+ * Team size rules for Goal Ball.
+ *
+ * These work on team sizes only, { team: number of people }, listed in the
+ * order the map gives its teams; the server decides who is counted (people
+ * on a team, not bots or spectators) and who actually moves.
+ */
+
+// Difference between the biggest and smallest team
+function spread(sizes) {
+  const values = Object.values(sizes);
+  return Math.max(...values) - Math.min(...values);
+}
+
+// The team with the fewest people, the first listed on a tie
+function smallest(sizes) {
+  return Object.keys(sizes).reduce((best, team) => (sizes[team] < sizes[best] ? team : best));
+}
+
+// The team with the most people, the first listed on a tie
+function biggest(sizes) {
+  return Object.keys(sizes).reduce((best, team) => (sizes[team] > sizes[best] ? team : best));
+}
+
+/**
+ * Whether one person may move from team `from` to team `to` (either can be
+ * null, for a spectator): allowed if the teams end up at most
+ * `maxDifference` apart, or at least closer together than before.
+ */
+function canMove(sizes, from, to, maxDifference) {
+  const after = { ...sizes };
+  if (from !== null) after[from] -= 1;
+  if (to !== null) after[to] += 1;
+  return spread(after) <= maxDifference || spread(after) < spread(sizes);
+}
+
+/**
+ * The moves, as [from, to] pairs, that bring the teams within
+ * `maxDifference` of each other, each from the biggest team to the
+ * smallest.
+ */
+function balancingMoves(sizes, maxDifference) {
+  const after = { ...sizes };
+  const moves = [];
+  while (spread(after) > maxDifference) {
+    const from = biggest(after);
+    const to = smallest(after);
+    after[from] -= 1;
+    after[to] += 1;
+    moves.push([from, to]);
+  }
+  return moves;
+}
+
+module.exports = {
+  spread,
+  smallest,
+  canMove,
+  balancingMoves,
+};
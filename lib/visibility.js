@@ -0,0 +1,59 @@
+/*
+ * What each team can see in Goal Ball.
+ *
+ * Bushes on the map (see lib/maps.js) hide whatever is inside them from the
+ * other teams, so the server only ever sends a team what it can see: hidden
+ * players and balls never leave the server, and can't be read out of the
+ * messages by a modified client. Spectators see the whole field.
+ */
+
+const Maps = require('./maps');
+
+// Bushes hide whatever is inside them from opponents further away than this
+const REVEAL_DISTANCE = 40;
+
+function dist2(x1, y1, x2, y2) {
+  const dx = x1 - x2;
+  const dy = y1 - y2;
+  return dx * dx + dy * dy;
+}
+
+/**
+ * Work out which players and balls a team can see. Anything inside a bush
+ * is hidden from a team unless one of its players is in the same bush or
+ * within REVEAL_DISTANCE of it. Teammates, and balls carried by anyone
+ * visible, can always be seen. Spectators (team null) see everything.
+ */
+function visibleTo(state, team) {
+  if (team === null) {
+    return { players: Array.from(state.players.values()), balls: Array.from(state.balls.values()) };
+  }
+  const { map } = state;
+  const teammates = Array.from(state.players.values()).filter((p) => p.team === team);
+  function canSee(x, y) {
+    const bush = Maps.bushAt(map, x, y);
+    if (!bush) return true;
+    return teammates.some((t) =>
+      Maps.bushAt(map, t.x, t.y) === bush || dist2(t.x, t.y, x, y) < REVEAL_DISTANCE ** 2);
+  }
+  const players = [];
+  const visibleIds = new Set();
+  for (const player of state.players.values()) {
+    if (player.team === team || canSee(player.x, player.y)) {
+      players.push(player);
+      visibleIds.add(player.id);
+    }
+  }
+  const balls = [];
+  for (const ball of state.balls.values()) {
+    if (ball.carriedBy ? visibleIds.has(ball.carriedBy) : canSee(ball.x, ball.y)) {
+      balls.push(ball);
+    }
+  }
+  return { players, balls };
+}
+
+module.exports = {
+  REVEAL_DISTANCE,
+  visibleTo,
+};
@@ -0,0 +1,210 @@
+/*
+ * Admin page for Goal Ball.
+ *
+ * Talks to the admin API under /admin/api with the token the server was
+ * started with (ADMIN_TOKEN). The token is kept in sessionStorage, so it's
+ * forgotten when the tab closes. Rooms, players and bans are fetched again
+ * every few seconds.
+ */
+
+(function () {
+  const API = '/admin/api';
+  const TOKEN_KEY = 'goalBallAdminToken';
+  const REFRESH_INTERVAL = 3000;
+
+  let token = sessionStorage.getItem(TOKEN_KEY);
+  let refreshTimer = null;
+
+  const el = (id) => document.getElementById(id);
+
+  // Call the API; resolves to the JSON answer, or rejects with the error it gives
+  async function request(method, path, body) {
+    const options = { method, headers: { Authorization: `Bearer ${token}` } };
+    if (body !== undefined) {
+      options.headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(body);
+    }
+    const res = await fetch(API + path, options);
+    const data = await res.json().catch(() => ({}));
+    if (res.status === 401) signOut();
+    if (!res.ok) throw new Error(data.error || `${res.status} ${res.statusText}`);
+    return data;
+  }
+
+  function showStatus(text, isError = false) {
+    const status = el('status');
+    status.textContent = text;
+    status.classList.toggle('error', isError);
+  }
+
+  // Run an action from a button and report how it went
+  async function act(description, action) {
+    try {
+      await action();
+      showStatus(description);
+      refresh();
+    } catch (err) {
+      showStatus(err.message, true);
+    }
+  }
+
+  // A table row from a list of cells: strings or elements
+  function row(cells) {
+    const tr = document.createElement('tr');
+    for (const cell of cells) {
+      const td = document.createElement('td');
+      if (cell instanceof Node) td.appendChild(cell); else td.textContent = cell;
+      tr.appendChild(td);
+    }
+    return tr;
+  }
+
+  function button(label, onClick) {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.textContent = label;
+    b.addEventListener('click', onClick);
+    return b;
+  }
+
+  function numberInput(value, min, max, step) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = min;
+    input.max = max;
+    input.step = step;
+    input.value = value;
+    return input;
+  }
+
+  function group(...children) {
+    const span = document.createElement('span');
+    span.className = 'actions';
+    for (const child of children) span.appendChild(child);
+    return span;
+  }
+
+  function renderRooms(rooms) {
+    // Leave the table alone while a config field is being edited
+    if (el('rooms').contains(document.activeElement)) return;
+    el('rooms').replaceChildren(...rooms.map((room) => {
+      const scoreTarget = numberInput(room.config.scoreTarget, 1, 99, 1);
+      const ballCount = numberInput(room.config.ballCount, 1, 50, 1);
+      const playerSpeed = numberInput(room.config.playerSpeed, 10, 400, 'any');
+      const apply = button('Apply', () => act(`Changed the config of ${room.name}`, () =>
+        request('PATCH', `/rooms/${encodeURIComponent(room.name)}/config`, {
+          scoreTarget: Number(scoreTarget.value),
+          ballCount: Number(ballCount.value),
+          playerSpeed: Number(playerSpeed.value),
+        })));
+      const reset = button('Reset scores', () => act(`Reset the scores in ${room.name}`, () =>
+        request('POST', `/rooms/${encodeURIComponent(room.name)}/reset-scores`)));
+      const scores = Object.entries(room.scores).map(([team, score]) => `${team} ${score}`).join(', ');
+      const { ticks, lateTicks, overruns } = room.loop;
+      return row([room.name, room.map, room.phase, scores, String(room.players), String(room.bots),
+        String(room.spectators), `${ticks} (${lateTicks} / ${overruns})`,
+        scoreTarget, ballCount, playerSpeed, group(apply, reset)]);
+    }));
+    // Keep the announcement's room choice in step with the rooms there are
+    const select = el('broadcastRoom');
+    const chosen = select.value;
+    select.replaceChildren(new Option('Everyone', ''), ...rooms.map((room) => new Option(room.name, room.name)));
+    select.value = rooms.some((room) => room.name === chosen) ? chosen : '';
+  }
+
+  // The reason and ban length typed above the players table
+  function moderation() {
+    const body = {};
+    const reason = el('reason').value.trim();
+    if (reason) body.reason = reason;
+    if (el('banMinutes').value) body.minutes = Number(el('banMinutes').value);
+    return body;
+  }
+
+  function renderPlayers(players) {
+    el('players').replaceChildren(...players.map((player) => {
+      const path = `/players/${encodeURIComponent(player.id)}`;
+      const kick = button('Kick', () => act(`Kicked ${player.name}`, () => {
+        const { reason } = moderation();
+        return request('POST', `${path}/kick`, reason ? { reason } : {});
+      }));
+      const ban = button('Ban', () => {
+        if (!confirm(`Ban ${player.name} (${player.address})?`)) return;
+        act(`Banned ${player.address}`, () => request('POST', `${path}/ban`, moderation()));
+      });
+      return row([player.name, player.room, player.team || 'spectator',
+        player.score === null ? '' : String(player.score), player.address || '',
+        player.connected ? 'yes' : 'no', group(kick, ban)]);
+    }));
+  }
+
+  function renderBans(bans) {
+    el('bans').replaceChildren(...bans.map((ban) => row([
+      ban.address,
+      ban.reason,
+      ban.until === null ? 'server restart' : new Date(ban.until).toLocaleString(),
+      button('Lift', () => act(`Lifted the ban on ${ban.address}`, () =>
+        request('DELETE', `/bans/${encodeURIComponent(ban.address)}`))),
+    ])));
+  }
+
+  async function refresh() {
+    if (!token) return;
+    try {
+      const [{ rooms }, { players }, { bans }] = await Promise.all([
+        request('GET', '/rooms'), request('GET', '/players'), request('GET', '/bans'),
+      ]);
+      renderRooms(rooms);
+      renderPlayers(players);
+      renderBans(bans);
+    } catch (err) {
+      showStatus(err.message, true);
+    }
+  }
+
+  function signIn(value) {
+    token = value;
+    sessionStorage.setItem(TOKEN_KEY, token);
+    el('dashboard').hidden = false;
+    el('signOut').hidden = false;
+    el('tokenInput').value = '';
+    el('tokenInput').placeholder = 'signed in';
+    clearInterval(refreshTimer);
+    refreshTimer = setInterval(refresh, REFRESH_INTERVAL);
+    refresh();
+  }
+
+  function signOut() {
+    token = null;
+    sessionStorage.removeItem(TOKEN_KEY);
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+    el('dashboard').hidden = true;
+    el('signOut').hidden = true;
+    el('tokenInput').placeholder = '';
+  }
+
+  el('tokenForm').addEventListener('submit', (event) => {
+    event.preventDefault();
+    showStatus('');
+    signIn(el('tokenInput').value);
+  });
+  el('signOut').addEventListener('click', () => {
+    signOut();
+    showStatus('Signed out');
+  });
+  el('broadcastForm').addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const body = { message: el('broadcastMessage').value };
+    if (el('broadcastRoom').value) body.room = el('broadcastRoom').value;
+    try {
+      const { sent } = await request('POST', '/broadcast', body);
+      el('broadcastMessage').value = '';
+      showStatus(`Announcement sent to ${sent} connection${sent === 1 ? '' : 's'}`);
+    } catch (err) {
+      showStatus(err.message, true);
+    }
+  });
+
+  if (token) signIn(token);
+})();
@@ -14,20 +14,143 @@
   let socket;
   let playerId = null;
   let team = null;
-  let gameState = { players: [], balls: [] };
+  let teams = ['left', 'right'];
+  let roomName = null;
+  let lobbyRefreshTimer = null;
+  const MAX_LISTED_REPLAYS = 10;
+  // Reconnecting: the server keeps our player for a while after the connection
+  // drops, and the session token from init takes it back. The token lives in
+  // sessionStorage so a page reload resumes too.
+  const SESSION_KEY = 'goalball.session';
+  const RECONNECT_BASE_DELAY = 500; // ms before the first retry, doubled per attempt
+  const RECONNECT_MAX_DELAY = 10000;
+  let reconnectAttempts = 0;
+  // Display name and character model, remembered between visits
+  const NAME_KEY = 'goalball.name';
+  const MODEL_KEY = 'goalball.model';
+  let gameState = { players: [], balls: [], scores: {} };
+  let roster = []; // everyone in the room: { id, name, team, model, score, bot }
+  let spectators = []; // { id, name } of everyone watching
+  let rosterKey = null; // what the roster panel currently shows
+  let rosterNotice = null; // { text, until }: why a team change was refused
+  const NOTICE_DURATION = 4000; // ms
+  const ANNOUNCEMENT_DURATION = 10000; // ms an admin's announcement stays up
+  let announcementTimer = null;
+  let lobbyNotice = null; // why we were sent back to the lobby, shown once we're there
+  // Match lifecycle as announced by the server ('phase' messages)
+  const matchState = { phase: 'waiting', winner: null, scoreTarget: 3, timeLimit: 0, endsAt: null };
+  // Snapshot interpolation: remote entities are drawn slightly in the past,
+  // between two buffered server snapshots, so jitter doesn't show as stutter.
+  // The delay covers at least two of the server's broadcast intervals.
+  const INTERPOLATION_DELAY = 100; // ms
+  const SNAPSHOT_BUFFER_TIME = 1000; // ms of snapshots kept
+  const snapshots = []; // { t, players: Map, balls: Map } ordered by server time
+  let serverTimeOffset = null; // estimated server clock minus performance.now()
+  let serverConfig = null; // movement constants sent with init
+
+  // Replay viewer: open the page with ?replay=<id> to watch a saved match.
+  // Its frames go into the same snapshot buffer as live state and are drawn
+  // by the same code, only the render time comes from the replay clock.
+  const replay = {
+    active: false,
+    duration: 0, // ms
+    time: 0, // ms into the replay being shown
+    playing: true,
+    speed: 1,
+  };
+
+  // Local prediction: our own player is simulated immediately with the same
+  // rules as the server, then corrected against acknowledged inputs
+  const SNAP_DISTANCE = 50; // corrections larger than this are applied instantly
+  const prediction = {
+    active: false,
+    x: 0,
+    y: 0,
+    renderX: 0,
+    renderY: 0,
+    accumulator: 0,
+    ticksUnderSeq: 0,
+    dashTicks: 0, // predicted tackle dash ticks left
+    dashX: 0,
+    dashY: 0,
+    stunTicks: 0, // ticks left being stunned by an opponent's tackle
+    history: [], // { seq, tick, x, y } after each predicted tick
+  };
+  let inputSeq = 0;
+
+  // Binary state protocol (see protocol.js). Append ?protocol=json to the page
+  // URL to fall back to plain JSON state messages for debugging.
+  const Protocol = window.GoalBallProtocol;
+  const entityTable = new Map(); // short entity id -> { kind, id, team }
+  const decodedSnapshots = new Map(); // seq -> decoded snapshot, baselines for deltas
+  const DECODED_SNAPSHOT_HISTORY = 64;
+
   const playerMeshes = new Map(); // id -> mesh
   const ballMeshes = new Map(); // id -> mesh
 
   // Three.js scene components
   let scene, camera, renderer;
-  const worldWidth = 800;
-  const worldHeight = 500;
+  let gameMap = null; // the room's map from init: field, goals, obstacles, bushes
+  let fieldMesh = null;
+  let fieldModelFile = null;
   let bushes = [];
+  let obstacles = [];
   let goals = {};
-
-  // New: Bear model (loaded once, cloned per player)
-  let bearModel = null;
-  let bearAnimations = [];
+  // Team colours, in the order the room's map lists its teams
+  const TEAM_COLORS = [
+    { goal: 0x002c8b, player: 0x007bff },
+    { goal: 0x8b0015, player: 0xe91e63 },
+    { goal: 0x1e7a44, player: 0x2ecc71 },
+    { goal: 0x8b6d00, player: 0xf1c40f },
+  ];
+
+  // The camera looks at a point on the ground from some distance away; each
+  // frame it eases towards the shot the player or spectator camera asks for
+  const CAMERA_FOV = 60; // degrees, vertical
+  const OVERVIEW_DISTANCE = Math.hypot(600, 400); // the whole field from (0, 600, 400)
+  const OVERVIEW_PITCH = Math.atan2(600, 400); // radians above the ground
+  const FOLLOW_DISTANCE = 320;
+  const FOLLOW_PITCH = 1.15;
+  const DIRECTOR_MIN_DISTANCE = 360;
+  const CAMERA_PITCH_MIN = 0.25;
+  const CAMERA_PITCH_MAX = 1.5;
+  const CAMERA_ZOOM_MIN = 0.3;
+  const CAMERA_ZOOM_MAX = 2;
+  const CAMERA_ZOOM_STEP = 1.25; // per press of a zoom button or key
+  const CAMERA_SMOOTHING = 3; // per second, higher catches up faster
+  const CAMERA_PAN_SPEED = 400; // units per second with the movement keys
+  const cameraRig = {
+    target: new THREE.Vector3(), // point on the ground being looked at
+    distance: OVERVIEW_DISTANCE,
+  };
+  const IS_TOUCH = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+  // Our camera while playing: 'follow' keeps our bear in view from above,
+  // 'overview' shows the whole field. Phones start on follow, where the
+  // overview leaves the bears tiny.
+  const CAMERA_KEY = 'goalball.camera';
+  const playerCamera = {
+    mode: localStorage.getItem(CAMERA_KEY) || (IS_TOUCH ? 'follow' : 'overview'),
+    zoom: 1, // multiplies FOLLOW_DISTANCE
+  };
+  // Spectator camera: spectators and replay viewers can orbit and pan the
+  // view, follow one player, or leave it to the director, which keeps the
+  // ball carriers in shot
+  const spectatorCamera = {
+    mode: 'director', // 'director', 'follow' or 'free'
+    yaw: 0, // radians around the target, 0 = from the bottom of the field
+    pitch: OVERVIEW_PITCH,
+    zoom: 1, // multiplies each mode's own distance
+    followId: null,
+    pointers: new Map(), // pointerId -> { x, y, pan } while dragging on the field
+  };
+
+  // Character models (loaded once each, cloned per player), keyed by the
+  // names the server offers at /characters
+  let characters = {}; // name -> { file, height }
+  let defaultCharacter = null;
+  const characterModels = new Map(); // name -> { scene, animations } once loaded
+  const nameplates = new Map(); // id -> sprite floating above the player
+  const NAMEPLATE_HEIGHT = 80; // above the ground
   const playerMixers = new Map(); // id -> AnimationMixer
   const playerAnimationStates = new Map(); // id -> { currentAction, isMoving }
   const playerRotationData = new Map(); // id -> { targetRotation, currentRotation }
@@ -43,28 +166,738 @@
   // Movement and rotation constants
   const ROTATION_SPEED = 3.0; // radians per second
   let currentDirection = { x: 0, y: 0 }; // Current input direction (for immediate response)
+  // Key bindings: each action's keys by KeyboardEvent.code, the key's place
+  // on the keyboard, so Caps Lock, Shift and the layout don't change what it
+  // does. Up to two keys per action, rebound in the settings panel and kept
+  // in localStorage.
+  const BINDINGS_KEY = 'goalball.keys';
+  const ACTIONS = [
+    { name: 'up', label: 'Move up', keys: ['KeyW', 'ArrowUp'] },
+    { name: 'down', label: 'Move down', keys: ['KeyS', 'ArrowDown'] },
+    { name: 'left', label: 'Move left', keys: ['KeyA', 'ArrowLeft'] },
+    { name: 'right', label: 'Move right', keys: ['KeyD', 'ArrowRight'] },
+    { name: 'kick', label: 'Kick (hold to charge)', keys: ['Space', null] },
+    { name: 'tackle', label: 'Tackle', keys: ['KeyE', null] },
+    { name: 'view', label: 'Switch camera view', keys: ['KeyV', null] },
+    { name: 'zoomIn', label: 'Zoom in', keys: ['Equal', null] },
+    { name: 'zoomOut', label: 'Zoom out', keys: ['Minus', null] },
+  ];
+  const KEY_NAMES = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', Space: 'Space' };
+  let bindings = loadBindings(); // action name -> [code or null, code or null]
+  const heldKeys = new Set(); // codes of the keys down right now
+  let keyboardLayout = null; // what each key prints, where the browser tells us
+  let rebinding = null; // { action, slot } waiting for a key in the settings panel
+  // Movement comes from the keyboard, the touch stick and gamepads; each
+  // keeps its own direction and their sum, each axis clamped to [-1, 1],
+  // is what we send. Analog directions can be shorter than 1 to move slower.
+  const inputSources = { keys: { x: 0, y: 0 }, stick: { x: 0, y: 0 }, gamepad: { x: 0, y: 0 } };
+  let lastInputAt = -Infinity; // performance.now() when we last sent input
+  let inputTimer = null; // a send held back until a tick after the last, see updateDirection()
+  const STICK_DEAD_ZONE = 0.15; // fraction of a stick's travel ignored around its centre
+  const GAMEPAD_DEAD_ZONE = 0.2; // worn gamepad sticks rest further off centre
+  // Gamepad buttons in the standard mapping
+  const GAMEPAD_KICK = 0; // A / cross: hold to charge, release to kick
+  const GAMEPAD_TACKLE = 1; // B / circle
+  const GAMEPAD_DPAD = [12, 13, 14, 15]; // up, down, left, right
+  let gamepadButtons = []; // which buttons were down on the last poll
+  let lastDirection = null; // Last non-zero direction, used to aim kicks while standing still
+
+  // Kicking: hold the kick key/button to charge, release to kick
+  const KICK_CHARGE_TIME = 1000; // ms to reach full power
+  let kickChargeStart = null; // performance.now() when charging started
+
+  // Tackling: cooldown is confirmed by the server's 'tackle' message
+  let tackleReadyAt = 0; // performance.now() when we can tackle again
+  let tackleCooldown = 0; // length of the last cooldown, for the HUD
+  const hitReactions = new Map(); // player id -> { start, end } while stunned by a tackle
 
   /** Initialise WebSocket connection */
   function initSocket() {
     const protocol = location.protocol === 'https:' ? 'wss' : 'ws';
-    socket = new WebSocket(`${protocol}://${location.host}`);
+    const forceJson = new URLSearchParams(location.search).get('protocol') === 'json';
+    const subprotocols = forceJson
+      ? [Protocol.SUBPROTOCOL_JSON]
+      : [Protocol.SUBPROTOCOL_BINARY, Protocol.SUBPROTOCOL_JSON];
+    socket = new WebSocket(`${protocol}://${location.host}`, subprotocols);
+    socket.binaryType = 'arraybuffer';
     socket.addEventListener('open', () => {
       console.log('Connected to server');
+      const session = sessionStorage.getItem(SESSION_KEY);
+      if (session) {
+        sendMessage({ type: 'resume', token: session });
+      } else {
+        joinRequestedRoom();
+      }
     });
     socket.addEventListener('message', (event) => {
+      if (event.data instanceof ArrayBuffer) {
+        handleBinarySnapshot(event.data);
+        return;
+      }
       const msg = JSON.parse(event.data);
       if (msg.type === 'init') {
         playerId = msg.id;
         team = msg.team;
-        console.log('You are player', playerId, 'on team', team);
+        spectatorCamera.followId = null;
+        teams = msg.teams;
+        buildScoreboard();
+        roomName = msg.room;
+        serverConfig = msg.config;
+        sessionStorage.setItem(SESSION_KEY, msg.session);
+        reconnectAttempts = 0;
+        setReconnecting(false);
+        gameMap = msg.map;
+        buildMap();
+        resetPrediction();
+        snapshots.length = 0;
+        roster = [];
+        spectators = [];
+        entityTable.clear();
+        decodedSnapshots.clear();
+        hideLobby();
+        // Keep the room in the URL so it can be shared and survives a reload
+        const params = new URLSearchParams(location.search);
+        params.set('room', roomName);
+        if (team === null) {
+          params.set('watch', '');
+        } else {
+          params.delete('watch');
+        }
+        history.replaceState(null, '', `?${params}`);
+        console.log('You are player', playerId, `"${msg.name}"`, 'on team', team, 'in room', roomName, `(${msg.protocol} protocol)`);
+      } else if (msg.type === 'config') {
+        // An admin changed the room's rules, e.g. how fast players move
+        serverConfig = msg.config;
+      } else if (msg.type === 'announcement') {
+        showAnnouncement(msg.message);
+      } else if (msg.type === 'entities') {
+        for (const entity of msg.spawn) {
+          entityTable.set(entity.eid, entity);
+        }
+        for (const eid of msg.despawn) {
+          entityTable.delete(eid);
+        }
+      } else if (msg.type === 'resumeFailed') {
+        // Our player is gone (grace period over or server restarted); start afresh
+        sessionStorage.removeItem(SESSION_KEY);
+        roomName = null;
+        setReconnecting(false);
+        joinRequestedRoom();
+      } else if (msg.type === 'roster') {
+        roster = msg.players;
+        spectators = msg.spectators;
+      } else if (msg.type === 'team') {
+        // We switched teams or started/stopped spectating; our player respawns
+        team = msg.team;
+        resetPrediction();
+      } else if (msg.type === 'rooms') {
+        renderRoomList(msg.rooms);
+      } else if (msg.type === 'error') {
+        console.warn('Server error:', msg.message);
+        if (!roomName) {
+          showLobby(msg.message);
+        } else {
+          rosterNotice = { text: msg.message, until: performance.now() + NOTICE_DURATION };
+        }
+      } else if (msg.type === 'phase') {
+        matchState.phase = msg.phase;
+        matchState.winner = msg.winner;
+        matchState.scoreTarget = msg.scoreTarget;
+        matchState.timeLimit = msg.timeLimit;
+        matchState.endsAt = msg.remaining === null ? null : performance.now() + msg.remaining;
+        gameState.scores = msg.scores;
+      } else if (msg.type === 'tackle') {
+        if (msg.by === playerId) {
+          tackleCooldown = msg.cooldown;
+          tackleReadyAt = performance.now() + msg.cooldown;
+        }
+      } else if (msg.type === 'tackleHit') {
+        const now = performance.now();
+        hitReactions.set(msg.target, { start: now, end: now + msg.stun });
+        if (msg.target === playerId && serverConfig) {
+          prediction.stunTicks = Math.round(msg.stun / serverConfig.tickInterval);
+          prediction.dashTicks = 0;
+        }
+        if (msg.by === playerId) {
+          prediction.dashTicks = 0;
+        }
       } else if (msg.type === 'state') {
-        gameState.players = msg.players;
-        gameState.balls = msg.balls;
+        handleState(msg);
       }
     });
-    socket.addEventListener('close', () => {
+    socket.addEventListener('close', (event) => {
+      if (event.code === Protocol.CLOSE_BANNED) {
+        // Reconnecting would only be refused again
+        showBanned(event.reason);
+        return;
+      }
+      if (event.code === Protocol.CLOSE_KICKED) {
+        // Reconnect to the lobby rather than back into the room
+        sessionStorage.removeItem(SESSION_KEY);
+        const params = new URLSearchParams(location.search);
+        params.delete('room');
+        params.delete('watch');
+        history.replaceState(null, '', `?${params}`);
+        roomName = null;
+        lobbyNotice = event.reason || 'You were removed from the room';
+        initSocket();
+        return;
+      }
       console.warn('Disconnected from server');
+      scheduleReconnect();
+    });
+  }
+
+  function showBanned(reason) {
+    const overlay = document.getElementById('reconnectOverlay');
+    overlay.querySelector('.title').textContent = 'Banned from this server';
+    overlay.querySelector('.subtitle').textContent = reason;
+    overlay.style.display = 'flex';
+  }
+
+  /** Show a message from the server's admin across the top of the screen */
+  function showAnnouncement(message) {
+    const elem = document.getElementById('announcement');
+    elem.textContent = message;
+    elem.style.display = 'block';
+    clearTimeout(announcementTimer);
+    announcementTimer = setTimeout(() => {
+      elem.style.display = 'none';
+    }, ANNOUNCEMENT_DURATION);
+  }
+
+  // Join the room named in the URL (to watch with ?watch), otherwise let the player pick one
+  function joinRequestedRoom() {
+    const params = new URLSearchParams(location.search);
+    const requestedRoom = params.get('room');
+    if (requestedRoom) {
+      sendMessage({ type: 'joinRoom', room: requestedRoom, spectate: params.has('watch'), ...profile() });
+    } else {
+      showLobby(lobbyNotice);
+      lobbyNotice = null;
+    }
+  }
+
+  /** Retry the connection with exponential backoff plus a little jitter */
+  function scheduleReconnect() {
+    const delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** reconnectAttempts);
+    reconnectAttempts += 1;
+    setReconnecting(true);
+    setTimeout(initSocket, delay + Math.random() * RECONNECT_BASE_DELAY);
+  }
+
+  function setReconnecting(reconnecting) {
+    document.getElementById('reconnectOverlay').style.display = reconnecting ? 'flex' : 'none';
+  }
+
+  /** Apply a state message, whether it arrived as JSON or was decoded */
+  function handleState(msg) {
+    gameState.players = msg.players;
+    gameState.balls = msg.balls;
+    gameState.scores = msg.scores;
+    addSnapshot(msg);
+    // Resync the phase clock with every state so the timer doesn't drift
+    if (msg.phase === matchState.phase) {
+      matchState.endsAt = msg.remaining === null ? null : performance.now() + msg.remaining;
+    }
+  }
+
+  /**
+   * Decode a binary delta snapshot against its baseline, acknowledge it and
+   * turn it back into the same shape as a JSON state message.
+   */
+  function handleBinarySnapshot(buffer) {
+    let decoded;
+    try {
+      decoded = Protocol.decodeSnapshot(buffer, (seq) => decodedSnapshots.get(seq));
+    } catch (err) {
+      // We lost the baseline; acknowledging 0 makes the server send a full snapshot
+      console.warn('Could not decode snapshot:', err.message);
+      sendMessage({ type: 'ack', seq: 0 });
+      return;
+    }
+    decodedSnapshots.set(decoded.seq, decoded);
+    decodedSnapshots.delete(decoded.seq - DECODED_SNAPSHOT_HISTORY);
+    sendMessage({ type: 'ack', seq: decoded.seq });
+
+    const players = [];
+    for (const [eid, fields] of decoded.players) {
+      const entity = entityTable.get(eid);
+      if (!entity) continue;
+      players.push({
+        id: entity.id,
+        team: entity.team,
+        name: entity.name,
+        model: entity.model,
+        x: Protocol.dequantizePosition(fields.x),
+        y: Protocol.dequantizePosition(fields.y),
+        score: fields.score,
+        seq: fields.seq,
+        seqTicks: fields.seqTicks,
+      });
+    }
+    const balls = [];
+    for (const [eid, fields] of decoded.balls) {
+      const entity = entityTable.get(eid);
+      if (!entity) continue;
+      const carrier = fields.carrier === Protocol.NO_ENTITY ? null : entityTable.get(fields.carrier);
+      balls.push({
+        id: entity.id,
+        x: Protocol.dequantizePosition(fields.x),
+        y: Protocol.dequantizePosition(fields.y),
+        carriedBy: carrier ? carrier.id : null,
+      });
+    }
+    const scores = {};
+    teams.forEach((t, i) => {
+      scores[t] = decoded.scores[i];
+    });
+    handleState({
+      type: 'state',
+      t: decoded.t,
+      tick: decoded.tick,
+      players,
+      balls,
+      scores,
+      phase: Protocol.PHASES[decoded.phase],
+      remaining: decoded.remaining < 0 ? null : decoded.remaining,
+    });
+  }
+
+  /** Buffer a state message for interpolation and reconcile our prediction */
+  function addSnapshot(msg) {
+    const now = performance.now();
+    const sampleOffset = msg.t - now;
+    if (serverTimeOffset === null || Math.abs(sampleOffset - serverTimeOffset) > 1000) {
+      serverTimeOffset = sampleOffset;
+    } else {
+      // Smooth the clock estimate so one late packet doesn't jerk the timeline
+      serverTimeOffset += (sampleOffset - serverTimeOffset) * 0.05;
+    }
+
+    const snapshot = { t: msg.t, players: new Map(), balls: new Map() };
+    for (const p of msg.players) snapshot.players.set(p.id, p);
+    for (const b of msg.balls) snapshot.balls.set(b.id, b);
+    snapshots.push(snapshot);
+    while (snapshots.length > 2 && snapshots[0].t < msg.t - SNAPSHOT_BUFFER_TIME) {
+      snapshots.shift();
+    }
+
+    const me = snapshot.players.get(playerId);
+    if (me) {
+      reconcile(me);
+    }
+  }
+
+  function resetPrediction() {
+    prediction.active = false;
+    prediction.history.length = 0;
+    prediction.accumulator = 0;
+    prediction.ticksUnderSeq = 0;
+  }
+
+  // Whether the server lets players move in the current match phase
+  function movementAllowed() {
+    return matchState.phase === 'waiting' || matchState.phase === 'playing';
+  }
+
+  /** Advance our predicted position by one server tick, mirroring lib/simulation.js */
+  function predictTick() {
+    const { playerSpeed, playerRadius, tackleSpeed, tickInterval } = serverConfig;
+    const dt = tickInterval / 1000; // seconds
+    const { width: w, height: h } = gameMap.field;
+    const dx = currentDirection.x;
+    const dy = currentDirection.y;
+    const dashing = prediction.dashTicks > 0;
+    const stunned = prediction.stunTicks > 0;
+    if (dashing) prediction.dashTicks -= 1;
+    if (stunned) prediction.stunTicks -= 1;
+    if (movementAllowed() && dashing) {
+      prediction.x += prediction.dashX * tackleSpeed * dt;
+      prediction.y += prediction.dashY * tackleSpeed * dt;
+    } else if (movementAllowed() && !stunned && (dx !== 0 || dy !== 0)) {
+      const mag = Math.sqrt(dx * dx + dy * dy);
+      const speed = playerSpeed * dt * Math.min(1, mag);
+      prediction.x += (dx / mag) * speed;
+      prediction.y += (dy / mag) * speed;
+    }
+    prediction.x = Math.max(-w / 2 + playerRadius, Math.min(w / 2 - playerRadius, prediction.x));
+    prediction.y = Math.max(-h / 2 + playerRadius, Math.min(h / 2 - playerRadius, prediction.y));
+    pushOutOfObstacles(prediction, playerRadius);
+    prediction.ticksUnderSeq += 1;
+    prediction.history.push({ seq: inputSeq, tick: prediction.ticksUnderSeq, x: prediction.x, y: prediction.y });
+    if (prediction.history.length > 120) {
+      prediction.history.shift();
+    }
+  }
+
+  /** Push a circle out of any obstacle it overlaps, as server.js does */
+  function pushOutOfObstacles(entity, radius) {
+    for (const o of gameMap.obstacles) {
+      const left = o.x - o.w / 2;
+      const right = o.x + o.w / 2;
+      const top = o.y - o.h / 2;
+      const bottom = o.y + o.h / 2;
+      const cx = Math.max(left, Math.min(right, entity.x));
+      const cy = Math.max(top, Math.min(bottom, entity.y));
+      const dx = entity.x - cx;
+      const dy = entity.y - cy;
+      const d2 = dx * dx + dy * dy;
+      if (d2 >= radius * radius) continue;
+      if (d2 > 0) {
+        const d = Math.sqrt(d2);
+        entity.x = cx + (dx / d) * radius;
+        entity.y = cy + (dy / d) * radius;
+      } else {
+        // Centre is inside the rectangle: leave through the nearest side
+        const exits = [
+          { dist: entity.x - left, x: -1, y: 0 },
+          { dist: right - entity.x, x: 1, y: 0 },
+          { dist: entity.y - top, x: 0, y: -1 },
+          { dist: bottom - entity.y, x: 0, y: 1 },
+        ];
+        const exit = exits.reduce((a, b) => (b.dist < a.dist ? b : a));
+        entity.x += exit.x * (exit.dist + radius);
+        entity.y += exit.y * (exit.dist + radius);
+      }
+    }
+  }
+
+  /**
+   * Compare the server's position for our player against what we predicted
+   * for the same input and tick count, and shift the prediction by the error.
+   */
+  function reconcile(me) {
+    if (!prediction.active) {
+      prediction.active = true;
+      prediction.x = prediction.renderX = me.x;
+      prediction.y = prediction.renderY = me.y;
+      return;
+    }
+    // Latest predicted tick the server has also simulated
+    let index = -1;
+    for (let i = prediction.history.length - 1; i >= 0; i--) {
+      const h = prediction.history[i];
+      if (h.seq === me.seq && h.tick <= me.seqTicks) {
+        index = i;
+        break;
+      }
+    }
+    if (index === -1) {
+      // Nothing to compare against; only step in if we've clearly diverged
+      if (Math.hypot(me.x - prediction.x, me.y - prediction.y) > SNAP_DISTANCE) {
+        prediction.x = prediction.renderX = me.x;
+        prediction.y = prediction.renderY = me.y;
+        prediction.history.length = 0;
+      }
+      return;
+    }
+    const acked = prediction.history[index];
+    const errX = me.x - acked.x;
+    const errY = me.y - acked.y;
+    prediction.history.splice(0, index + 1);
+    if (Math.abs(errX) < 0.01 && Math.abs(errY) < 0.01) return;
+    // Replaying unacknowledged ticks from the server position is the same as
+    // shifting them by the error, since movement doesn't depend on position
+    // (bounds and obstacles aside, which the next reconcile picks up)
+    prediction.x += errX;
+    prediction.y += errY;
+    for (const h of prediction.history) {
+      h.x += errX;
+      h.y += errY;
+    }
+    if (Math.hypot(errX, errY) > SNAP_DISTANCE) {
+      prediction.renderX = prediction.x;
+      prediction.renderY = prediction.y;
+    }
+  }
+
+  /** Run local prediction ticks for the time that passed since the last frame */
+  function updatePrediction(deltaTime) {
+    if (!prediction.active || !serverConfig) return;
+    prediction.accumulator = Math.min(prediction.accumulator + deltaTime * 1000, serverConfig.tickInterval * 5);
+    while (prediction.accumulator >= serverConfig.tickInterval) {
+      prediction.accumulator -= serverConfig.tickInterval;
+      predictTick();
+    }
+    // Ease the drawn position towards the prediction to hide small corrections
+    const blend = Math.min(1, deltaTime * 15);
+    prediction.renderX += (prediction.x - prediction.renderX) * blend;
+    prediction.renderY += (prediction.y - prediction.renderY) * blend;
+  }
+
+  function lerp(a, b, t) {
+    return a + (b - a) * t;
+  }
+
+  /**
+   * Build the players and balls to draw this frame: remote entities are
+   * interpolated at (server time - INTERPOLATION_DELAY), our own player and
+   * the ball it carries use the local prediction.
+   */
+  function getRenderState() {
+    if (snapshots.length === 0) {
+      return { players: [], balls: [] };
+    }
+    const delay = Math.max(INTERPOLATION_DELAY, serverConfig ? serverConfig.broadcastInterval * 2 : 0);
+    const renderTime = replay.active ? replay.time : performance.now() + serverTimeOffset - delay;
+    // Find the pair of snapshots around renderTime; hold the newest if we ran out
+    let from = snapshots[snapshots.length - 1];
+    let to = from;
+    for (let i = snapshots.length - 1; i > 0; i--) {
+      if (snapshots[i - 1].t <= renderTime) {
+        from = snapshots[i - 1];
+        to = snapshots[i];
+        break;
+      }
+    }
+    const span = to.t - from.t;
+    const alpha = span > 0 ? Math.max(0, Math.min(1, (renderTime - from.t) / span)) : 1;
+
+    const players = [];
+    for (const p of to.players.values()) {
+      if (p.id === playerId && prediction.active) {
+        players.push({ ...p, x: prediction.renderX, y: prediction.renderY });
+        continue;
+      }
+      const prev = from.players.get(p.id) || p;
+      players.push({ ...p, x: lerp(prev.x, p.x, alpha), y: lerp(prev.y, p.y, alpha) });
+    }
+    const balls = [];
+    for (const b of to.balls.values()) {
+      if (b.carriedBy && b.carriedBy === playerId && prediction.active) {
+        balls.push({ ...b, x: prediction.renderX, y: prediction.renderY });
+        continue;
+      }
+      const prev = from.balls.get(b.id) || b;
+      balls.push({ ...b, x: lerp(prev.x, b.x, alpha), y: lerp(prev.y, b.y, alpha) });
+    }
+    return { players, balls };
+  }
+
+  function sendMessage(msg) {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(msg));
+    }
+  }
+
+  /** Lobby overlay: list open rooms, join one or create a new one */
+  function initLobby() {
+    const form = document.getElementById('createRoomForm');
+    const input = document.getElementById('roomNameInput');
+    const mapSelect = document.getElementById('mapSelect');
+    const botSelect = document.getElementById('botSelect');
+    const nameInput = document.getElementById('nameInput');
+    const characterSelect = document.getElementById('characterSelect');
+    nameInput.value = localStorage.getItem(NAME_KEY) || '';
+    nameInput.addEventListener('change', () => localStorage.setItem(NAME_KEY, nameInput.value.trim()));
+    characterSelect.addEventListener('change', () => localStorage.setItem(MODEL_KEY, characterSelect.value));
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const name = input.value.trim();
+      const msg = { type: 'createRoom', ...profile() };
+      if (name) msg.room = name;
+      if (mapSelect.value) msg.map = mapSelect.value;
+      msg.bots = botSelect.value;
+      sendMessage(msg);
+    });
+    // Offer the server's maps for new rooms
+    fetch('/maps')
+      .then((res) => res.json())
+      .then(({ maps, default: defaultMap }) => {
+        for (const name of maps) {
+          const option = document.createElement('option');
+          option.value = name;
+          option.textContent = name;
+          option.selected = name === defaultMap;
+          mapSelect.appendChild(option);
+        }
+      })
+      .catch((err) => console.warn('Could not load map list', err));
+    // Offer the characters to play as, and load their models
+    fetch('/characters')
+      .then((res) => res.json())
+      .then((data) => {
+        characters = data.characters;
+        defaultCharacter = data.default;
+        const chosen = localStorage.getItem(MODEL_KEY) || defaultCharacter;
+        for (const name of Object.keys(characters)) {
+          const option = document.createElement('option');
+          option.value = name;
+          option.textContent = name.charAt(0).toUpperCase() + name.slice(1);
+          option.selected = name === chosen;
+          characterSelect.appendChild(option);
+          loadCharacter(name);
+        }
+      })
+      .catch((err) => console.warn('Could not load character list', err));
+  }
+
+  // Name and character to join rooms with; the server fills in anything missing
+  function profile() {
+    const name = localStorage.getItem(NAME_KEY);
+    const model = localStorage.getItem(MODEL_KEY);
+    return { ...(name ? { name } : {}), ...(model ? { model } : {}) };
+  }
+
+  function showLobby(message) {
+    document.getElementById('lobby').style.display = 'block';
+    document.getElementById('lobbyMessage').textContent = message || '';
+    loadReplayList();
+    sendMessage({ type: 'listRooms' });
+    if (!lobbyRefreshTimer) {
+      lobbyRefreshTimer = setInterval(() => sendMessage({ type: 'listRooms' }), 3000);
+    }
+  }
+
+  function hideLobby() {
+    document.getElementById('lobby').style.display = 'none';
+    clearInterval(lobbyRefreshTimer);
+    lobbyRefreshTimer = null;
+  }
+
+  function renderRoomList(rooms) {
+    const list = document.getElementById('roomList');
+    list.innerHTML = '';
+    if (rooms.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'empty';
+      empty.textContent = 'No open rooms yet. Create one!';
+      list.appendChild(empty);
+      return;
+    }
+    for (const room of rooms) {
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      const bots = room.bots > 0 ? `, ${room.bots} bot${room.bots === 1 ? '' : 's'}` : '';
+      const watching = room.spectators > 0 ? `, ${room.spectators} watching` : '';
+      label.textContent = `${room.name} – ${room.map} (${room.players}/${room.maxPlayers}${bots}${watching})`;
+      const joinBtn = document.createElement('button');
+      joinBtn.textContent = 'Join';
+      joinBtn.addEventListener('click', () => {
+        sendMessage({ type: 'joinRoom', room: room.name, ...profile() });
+      });
+      const watchBtn = document.createElement('button');
+      watchBtn.textContent = 'Watch';
+      watchBtn.addEventListener('click', () => {
+        sendMessage({ type: 'joinRoom', room: room.name, spectate: true, ...profile() });
+      });
+      item.appendChild(label);
+      item.appendChild(joinBtn);
+      item.appendChild(watchBtn);
+      list.appendChild(item);
+    }
+  }
+
+  // Recent replays, each linking to the replay viewer
+  function loadReplayList() {
+    fetch('/replays')
+      .then((res) => res.json())
+      .then(({ replays }) => {
+        const list = document.getElementById('replayList');
+        list.innerHTML = '';
+        for (const summary of replays.slice(0, MAX_LISTED_REPLAYS)) {
+          const item = document.createElement('li');
+          const label = document.createElement('span');
+          const result = summary.result
+            ? Object.values(summary.result.scores).join('–')
+            : 'unfinished';
+          label.textContent = `${summary.room} – ${summary.map}, ${result} (${formatTime(summary.duration)})`;
+          const watch = document.createElement('a');
+          watch.className = 'button';
+          watch.textContent = 'Watch';
+          watch.href = `?replay=${encodeURIComponent(summary.id)}`;
+          item.appendChild(label);
+          item.appendChild(watch);
+          list.appendChild(item);
+        }
+        document.getElementById('replaySection').style.display = replays.length > 0 ? 'block' : 'none';
+      })
+      .catch((err) => console.warn('Could not load replay list', err));
+  }
+
+  // m:ss for a duration in ms
+  function formatTime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  }
+
+  /** Load a replay's frames and switch the page into the replay viewer */
+  function startReplay(id) {
+    document.body.classList.add('replay-mode');
+    fetch(`/replays/${encodeURIComponent(id)}/frames`)
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .then((data) => {
+        teams = data.teams;
+        buildScoreboard();
+        gameMap = data.map;
+        matchState.scoreTarget = data.scoreTarget;
+        matchState.timeLimit = data.timeLimit;
+        buildMap();
+        snapshots.length = 0;
+        for (const frame of data.frames) {
+          const snapshot = { t: frame.t, frame, players: new Map(), balls: new Map() };
+          for (const p of frame.players) snapshot.players.set(p.id, p);
+          for (const b of frame.balls) snapshot.balls.set(b.id, b);
+          snapshots.push(snapshot);
+        }
+        replay.duration = snapshots[snapshots.length - 1].t;
+        replay.time = 0;
+        replay.active = true;
+        initReplayControls();
+      })
+      .catch((err) => {
+        console.warn('Could not load replay', err);
+        document.getElementById('replayTime').textContent = 'Replay not found';
+      });
+  }
+
+  function initReplayControls() {
+    const playBtn = document.getElementById('replayPlay');
+    const seek = document.getElementById('replaySeek');
+    const speed = document.getElementById('replaySpeed');
+    seek.max = replay.duration;
+    playBtn.addEventListener('click', () => {
+      // Play from the start again once the end was reached
+      if (!replay.playing && replay.time >= replay.duration) replay.time = 0;
+      replay.playing = !replay.playing;
+    });
+    seek.addEventListener('input', () => {
+      replay.time = Number(seek.value);
     });
+    speed.addEventListener('change', () => {
+      replay.speed = Number(speed.value);
+    });
+  }
+
+  /**
+   * Advance the replay clock and show the match phase, scores and timer of
+   * the frame being drawn.
+   */
+  function updateReplay(deltaTime) {
+    if (!replay.active) return;
+    if (replay.playing) {
+      replay.time = Math.min(replay.duration, replay.time + deltaTime * 1000 * replay.speed);
+      if (replay.time >= replay.duration) replay.playing = false;
+    }
+    let current = snapshots[0];
+    for (const snapshot of snapshots) {
+      if (snapshot.t > replay.time) break;
+      current = snapshot;
+    }
+    const { frame } = current;
+    gameState.scores = frame.scores;
+    roster = frame.players;
+    matchState.phase = frame.phase;
+    matchState.winner = frame.winner;
+    matchState.endsAt = frame.remaining === null ? null : performance.now() + frame.remaining - (replay.time - frame.t);
+
+    document.getElementById('replayPlay').textContent = replay.playing ? 'Pause' : 'Play';
+    document.getElementById('replaySeek').value = replay.time;
+    document.getElementById('replayTime').textContent = `${formatTime(replay.time)} / ${formatTime(replay.duration)}`;
   }
 
   /** Set up the Three.js scene, camera, lights, ground, goals and bushes */
@@ -96,13 +929,12 @@
 
     // Camera
     camera = new THREE.PerspectiveCamera(
-      60,
+      CAMERA_FOV,
       window.innerWidth / window.innerHeight,
       1,
       2000,
     );
-    camera.position.set(0, 600, 400);
-    camera.lookAt(0, 0, 0);
+    placeCamera(0, OVERVIEW_PITCH);
 
     // Renderer
     renderer = new THREE.WebGLRenderer({ antialias: true });
@@ -123,19 +955,63 @@
 
     document.getElementById('gameContainer').appendChild(renderer.domElement);
 
-    // Load 3D field model
+    // Field, goals, bushes and obstacles come from the room's map, see buildMap()
+
+    // Character models are loaded once the lobby has fetched the list, see loadCharacter()
+    const loader = new THREE.GLTFLoader();
+
+    // Load the football model
+    loader.load('football.glb', (gltf) => {
+      footballModel = gltf.scene;
+      // Adjust scale to be appropriate for the game (football should be smaller than bear)
+      footballModel.scale.set(0.3, 0.3, 0.3);
+      console.log('Football model loaded successfully');
+    }, undefined, (error) => {
+      console.error('Error loading football model:', error);
+    });
+
+    // Resize handler
+    window.addEventListener('resize', onWindowResize, false);
+  }
+
+  /**
+   * Load a character's model, scaled to the height the server gives for it
+   * whatever size the file was authored at.
+   */
+  function loadCharacter(name) {
+    const { file, height } = characters[name];
+    new THREE.GLTFLoader().load(file, (gltf) => {
+      const model = gltf.scene;
+      const size = new THREE.Box3().setFromObject(model).getSize(new THREE.Vector3());
+      if (size.y > 0) {
+        model.scale.multiplyScalar(height / size.y);
+      }
+      characterModels.set(name, { scene: model, animations: gltf.animations });
+      console.log(`Character "${name}" loaded with ${gltf.animations.length} animations`);
+    }, undefined, (error) => {
+      console.error(`Error loading character "${name}":`, error);
+    });
+  }
+
+  /** Load the map's field model, or a plain ground plane if it has none */
+  function loadField(map) {
+    const model = map.model;
+    if (!model) {
+      setFieldMesh(createGroundPlane(map.field));
+      return;
+    }
     const fieldLoader = new THREE.GLTFLoader();
-    fieldLoader.load('professional_soccer_field.glb', (gltf) => {
+    fieldLoader.load(model.file, (gltf) => {
+      // Ignore a slow load for a map we've since left
+      if (fieldModelFile !== model.file) return;
       const fieldModel = gltf.scene;
 
-      // Scale the field model to match our world dimensions and make it larger
-      fieldModel.scale.set(20, 20, 20); // Increased size significantly
-
-      // Position the field more to the left
-      fieldModel.position.set(0, 0, 0); // Moved 200 units to the left
+      // Scale the field model to match the map's world dimensions
+      fieldModel.scale.set(model.scale, model.scale, model.scale);
+      fieldModel.position.set(0, 0, 0);
 
-      // Rotate the field 90 degrees around the Y axis
-      fieldModel.rotation.y = Math.PI / 2; // 90 degrees rotation
+      // Rotate the field around the Y axis as the map asks (degrees)
+      fieldModel.rotation.y = ((model.rotationY || 0) * Math.PI) / 180;
 
       // Use only the original GLB model textures - no modifications
       console.log('Soccer field model loaded, preserving original materials and textures...');
@@ -192,108 +1068,78 @@
         }
       });
 
-      scene.add(fieldModel);
+      setFieldMesh(fieldModel);
       console.log('3D field model loaded successfully');
     }, undefined, (error) => {
       console.warn('Failed to load 3D field model, using fallback plane:', error);
-
-      // Fallback: Create simple ground plane if 3D model fails to load
-      const groundGeom = new THREE.PlaneGeometry(worldWidth, worldHeight);
-      const groundMat = new THREE.MeshLambertMaterial({ color: 0x0a0832 });
-      const ground = new THREE.Mesh(groundGeom, groundMat);
-      ground.rotation.x = -Math.PI / 2;
-      scene.add(ground);
+      if (fieldModelFile === model.file) {
+        setFieldMesh(createGroundPlane(map.field));
+      }
     });
+  }
+
+  // Simple ground plane for maps without a model, or if the model fails to load
+  function createGroundPlane(field) {
+    const groundGeom = new THREE.PlaneGeometry(field.width, field.height);
+    const groundMat = new THREE.MeshLambertMaterial({ color: 0x0a0832 });
+    const ground = new THREE.Mesh(groundGeom, groundMat);
+    ground.rotation.x = -Math.PI / 2;
+    return ground;
+  }
+
+  function setFieldMesh(mesh) {
+    if (fieldMesh) {
+      scene.remove(fieldMesh);
+    }
+    fieldMesh = mesh;
+    scene.add(mesh);
+  }
+
+  /**
+   * Build the scenery for the room's map: field model, goal markers, bushes
+   * and obstacles. Replaces whatever the previous map left behind.
+   */
+  function buildMap() {
+    const map = gameMap;
+    const modelFile = map.model ? map.model.file : null;
+    if (!fieldMesh || modelFile !== fieldModelFile) {
+      fieldModelFile = modelFile;
+      loadField(map);
+    }
+
+    for (const mesh of Object.values(goals).concat(bushes, obstacles)) {
+      scene.remove(mesh);
+    }
+    goals = {};
+    bushes = [];
+    obstacles = [];
+
+    // Goals: simple markers on top of the field model
+    for (const [goalTeam, goal] of Object.entries(map.goals)) {
+      const color = teams.includes(goalTeam) ? teamColors(goalTeam).goal : 0xffffff;
+      const goalMat = new THREE.MeshLambertMaterial({ color, transparent: true, opacity: 0.7 });
+      const goalMesh = new THREE.Mesh(new THREE.BoxGeometry(goal.w, 2, goal.h), goalMat);
+      goalMesh.position.set(goal.x, 1, goal.y);
+      scene.add(goalMesh);
+      goals[goalTeam] = goalMesh;
+    }
 
-    // Goals: create simple goal markers (your 3D field might already have goals)
-    // You can comment these out if your field model includes goals
-    const goalGeom = new THREE.BoxGeometry(20, 2, 60);
-    const leftMat = new THREE.MeshLambertMaterial({ color: 0x002c8b, transparent: true, opacity: 0.7 });
-    const rightMat = new THREE.MeshLambertMaterial({ color: 0x8b0015, transparent: true, opacity: 0.7 });
-    const leftGoal = new THREE.Mesh(goalGeom, leftMat);
-    leftGoal.position.set(-worldWidth / 2 + 10, 1, 0);
-    scene.add(leftGoal);
-    const rightGoal = new THREE.Mesh(goalGeom, rightMat);
-    rightGoal.position.set(worldWidth / 2 - 10, 1, 0);
-    scene.add(rightGoal);
-    goals = { left: leftGoal, right: rightGoal };
-
-    // Generate bushes: random boxes around the field
-    const bushGeom = new THREE.BoxGeometry(20, 10, 20);
     const bushMat = new THREE.MeshLambertMaterial({ color: 0x0f8130 });
-    const numBushes = 10;
-    for (let i = 0; i < numBushes; i++) {
-      const b = new THREE.Mesh(bushGeom, bushMat);
-      // Avoid placing bushes too close to goals
-      let bx, by;
-      do {
-        bx = (Math.random() - 0.5) * (worldWidth - 200);
-        by = (Math.random() - 0.5) * (worldHeight - 100);
-      } while (Math.abs(bx) > worldWidth / 2 - 60 && Math.abs(by) < 80);
-      b.position.set(bx, 5, by);
+    for (const bush of map.bushes) {
+      const b = new THREE.Mesh(new THREE.CylinderGeometry(bush.r, bush.r, 10, 12), bushMat);
+      b.position.set(bush.x, 5, bush.y);
       scene.add(b);
       bushes.push(b);
     }
 
-    // New: Load the bear model asynchronously using the global THREE.GLTFLoader
-    const loader = new THREE.GLTFLoader();
-    loader.load('angela_running.glb', (gltf) => {
-      bearModel = gltf.scene;
-      bearAnimations = gltf.animations;
-      // Adjust scale to be smaller (~16 units tall; test and tweak)
-      bearModel.scale.set(50, 50, 50);
-      
-      console.log('✅ Bear model loaded with', bearAnimations.length, 'animations');
-      bearAnimations.forEach((clip, index) => {
-        console.log(`  Animation ${index}: ${clip.name}, duration: ${clip.duration}s, tracks: ${clip.tracks.length}`);
-      });
-      
-      // Find all meshes in the model
-      let hasSkeleton = false;
-      let meshCount = 0;
-      bearModel.traverse((child) => {
-        if (child.isMesh || child.type === 'Mesh' || child.type === 'SkinnedMesh') {
-          meshCount++;
-          console.log(`  Mesh ${meshCount}:`, child.name, 'type:', child.type);
-          console.log('    has skeleton:', !!child.skeleton);
-          console.log('    has bindMatrix:', !!child.bindMatrix);
-          
-          // Check geometry for skinning attributes
-          const geom = child.geometry;
-          if (geom && geom.attributes) {
-            console.log('    skinIndex:', !!geom.attributes.skinIndex);
-            console.log('    skinWeight:', !!geom.attributes.skinWeight);
-          }
-          
-          if (child.type === 'SkinnedMesh' || child.skeleton) {
-            console.log('    ✅ This is a SkinnedMesh with', child.skeleton ? child.skeleton.bones.length : 0, 'bones');
-            hasSkeleton = true;
-          }
-        }
-      });
-      
-      console.log(`  Found ${meshCount} meshes total, hasSkeleton: ${hasSkeleton}`);
-      
-      if (!hasSkeleton && meshCount > 0) {
-        console.warn('  ⚠️ Meshes found but no skeleton detected - animation may not work properly');
-        console.warn('  This could be a model export issue. Try re-exporting with "Apply Modifiers" or skeleton enabled.');
-      }
-    }, undefined, (error) => {
-      console.error('Error loading bear model:', error);
-    });
-
-    // Load the football model
-    loader.load('football.glb', (gltf) => {
-      footballModel = gltf.scene;
-      // Adjust scale to be appropriate for the game (football should be smaller than bear)
-      footballModel.scale.set(0.3, 0.3, 0.3);
-      console.log('Football model loaded successfully');
-    }, undefined, (error) => {
-      console.error('Error loading football model:', error);
-    });
-
-    // Resize handler
-    window.addEventListener('resize', onWindowResize, false);
+    const obstacleMat = new THREE.MeshLambertMaterial({ color: 0x6d6d6d });
+    for (const o of map.obstacles) {
+      const mesh = new THREE.Mesh(new THREE.BoxGeometry(o.w, 16, o.h), obstacleMat);
+      mesh.position.set(o.x, 8, o.y);
+      mesh.castShadow = true;
+      scene.add(mesh);
+      obstacles.push(mesh);
+    }
   }
 
   function onWindowResize() {
@@ -302,92 +1148,779 @@
     renderer.setSize(window.innerWidth, window.innerHeight);
   }
 
+  // Whether we're watching rather than playing: as a spectator or a replay viewer
+  function spectating() {
+    return replay.active || (roomName !== null && team === null);
+  }
+
+  /**
+   * Spectator camera controls: drag to orbit, right-drag (or shift-drag) or
+   * two fingers to pan, wheel or pinch to zoom, plus the camera bar.
+   */
+  function initSpectatorCamera() {
+    const canvas = renderer.domElement;
+    const { pointers } = spectatorCamera;
+    canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+    canvas.addEventListener('pointerdown', (e) => {
+      if (!spectating()) return;
+      canvas.setPointerCapture(e.pointerId);
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY, pan: e.button === 2 || e.shiftKey });
+    });
+    canvas.addEventListener('pointermove', (e) => {
+      const pointer = pointers.get(e.pointerId);
+      if (!pointer) return;
+      const dx = e.clientX - pointer.x;
+      const dy = e.clientY - pointer.y;
+      if (pointers.size >= 2) {
+        // Two fingers: pinch to zoom, move them together to pan
+        const before = pinchSpread();
+        pointer.x = e.clientX;
+        pointer.y = e.clientY;
+        const after = pinchSpread();
+        if (before > 0 && after > 0) zoomCamera(before / after);
+        panCamera(dx / 2, dy / 2);
+        return;
+      }
+      pointer.x = e.clientX;
+      pointer.y = e.clientY;
+      if (pointer.pan) {
+        panCamera(dx, dy);
+      } else {
+        spectatorCamera.yaw -= dx * 0.005;
+        spectatorCamera.pitch = Math.min(CAMERA_PITCH_MAX, Math.max(CAMERA_PITCH_MIN, spectatorCamera.pitch + dy * 0.005));
+      }
+    });
+    const release = (e) => pointers.delete(e.pointerId);
+    canvas.addEventListener('pointerup', release);
+    canvas.addEventListener('pointercancel', release);
+    canvas.addEventListener('wheel', (e) => {
+      if (!spectating() && !(roomName && playerCamera.mode === 'follow')) return;
+      e.preventDefault();
+      zoomCamera(Math.exp(e.deltaY * 0.001));
+    }, { passive: false });
+
+    for (const button of document.querySelectorAll('#cameraBar [data-mode]')) {
+      button.addEventListener('click', () => setCameraMode(button.dataset.mode));
+    }
+    document.getElementById('followPrev').addEventListener('click', () => cycleFollow(-1));
+    document.getElementById('followNext').addEventListener('click', () => cycleFollow(1));
+
+    // Our own view while playing. The buttons don't take focus, or Space
+    // (kick) would press them again.
+    for (const button of document.querySelectorAll('#viewBar button')) {
+      button.addEventListener('mousedown', (e) => e.preventDefault());
+    }
+    for (const button of document.querySelectorAll('#viewBar [data-view]')) {
+      button.addEventListener('click', () => setPlayerCameraMode(button.dataset.view));
+    }
+    document.getElementById('zoomIn').addEventListener('click', () => zoomCamera(1 / CAMERA_ZOOM_STEP));
+    document.getElementById('zoomOut').addEventListener('click', () => zoomCamera(CAMERA_ZOOM_STEP));
+  }
+
+  // Distance in pixels between the first two pointers on the field
+  function pinchSpread() {
+    const [a, b] = spectatorCamera.pointers.values();
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+
+  // Move the camera across the ground by a drag of (dx, dy) pixels
+  function panCamera(dx, dy) {
+    const { target, distance } = cameraRig;
+    setCameraMode('free');
+    const scale = distance / window.innerHeight;
+    const sin = Math.sin(spectatorCamera.yaw);
+    const cos = Math.cos(spectatorCamera.yaw);
+    target.x -= (dx * cos + dy * sin) * scale;
+    target.z -= (-dx * sin + dy * cos) * scale;
+    clampCameraTarget();
+  }
+
+  // Zoom whichever camera is in use; factors above 1 pull it back
+  function zoomCamera(factor) {
+    const cam = spectating() ? spectatorCamera : playerCamera;
+    cam.zoom = Math.min(CAMERA_ZOOM_MAX, Math.max(CAMERA_ZOOM_MIN, cam.zoom * factor));
+  }
+
+  function setPlayerCameraMode(mode) {
+    playerCamera.mode = mode;
+    localStorage.setItem(CAMERA_KEY, mode);
+  }
+
+  // Keep the point looked at over the field
+  function clampCameraTarget() {
+    if (!gameMap) return;
+    const { target } = cameraRig;
+    const halfWidth = gameMap.field.width / 2;
+    const halfHeight = gameMap.field.height / 2;
+    target.x = Math.min(halfWidth, Math.max(-halfWidth, target.x));
+    target.z = Math.min(halfHeight, Math.max(-halfHeight, target.z));
+  }
+
+  function setCameraMode(mode) {
+    spectatorCamera.mode = mode;
+  }
+
+  // Follow the next (step 1) or previous (step -1) player in the roster
+  function cycleFollow(step) {
+    const ids = roster.map((p) => p.id);
+    if (ids.length === 0) return;
+    const index = ids.indexOf(spectatorCamera.followId);
+    const next = index === -1 ? (step > 0 ? 0 : ids.length - 1) : (index + step + ids.length) % ids.length;
+    followPlayer(ids[next]);
+  }
+
+  function followPlayer(id) {
+    spectatorCamera.followId = id;
+    setCameraMode('follow');
+  }
+
+  // 1-3 pick the camera mode, [ and ] switch the followed player; the
+  // movement keys pan the free camera, see updateCamera()
+  function handleCameraKey(code, down) {
+    if (!down) return;
+    if (code === 'Digit1') setCameraMode('director');
+    else if (code === 'Digit2') setCameraMode('follow');
+    else if (code === 'Digit3') setCameraMode('free');
+    else if (code === 'BracketLeft') cycleFollow(-1);
+    else if (code === 'BracketRight') cycleFollow(1);
+  }
+
+  /**
+   * Where the director points the camera: at the ball carriers if anyone
+   * has a ball, otherwise at the loose balls, pulled back far enough to
+   * keep them all in shot.
+   */
+  function directorShot(view) {
+    const carried = view.balls.filter((b) => b.carriedBy);
+    const focus = carried.length > 0 ? carried : view.balls;
+    if (focus.length === 0) {
+      return { x: 0, y: 0, distance: OVERVIEW_DISTANCE };
+    }
+    const xs = focus.map((b) => b.x);
+    const ys = focus.map((b) => b.y);
+    const spread = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+    return {
+      x: (Math.max(...xs) + Math.min(...xs)) / 2,
+      y: (Math.max(...ys) + Math.min(...ys)) / 2,
+      distance: Math.min(OVERVIEW_DISTANCE, DIRECTOR_MIN_DISTANCE + spread),
+    };
+  }
+
+  /**
+   * Where the follow camera looks to keep our own player in view, moved in
+   * from the field's edges so it shows as little as possible beyond them.
+   * Along an axis where the field is smaller than the view it stays centred.
+   */
+  function followShot(me) {
+    const distance = FOLLOW_DISTANCE * playerCamera.zoom;
+    if (!gameMap) return { x: me.x, y: me.y, distance };
+    // Half the ground the view covers around the target, roughly
+    const halfHeight = (distance * Math.tan((CAMERA_FOV * Math.PI) / 360)) / Math.sin(FOLLOW_PITCH);
+    const halfWidth = distance * Math.tan((CAMERA_FOV * Math.PI) / 360) * camera.aspect;
+    const clamp = (value, half, fieldHalf) => (half >= fieldHalf ? 0 : Math.min(fieldHalf - half, Math.max(half - fieldHalf, value)));
+    return {
+      x: clamp(me.x, halfWidth, gameMap.field.width / 2),
+      y: clamp(me.y, halfHeight, gameMap.field.height / 2),
+      distance,
+    };
+  }
+
+  /** Ease the camera towards the player or spectator camera's shot */
+  function updateCamera(deltaTime, view) {
+    const watching = spectating();
+    document.body.classList.toggle('spectating', watching);
+    document.body.classList.toggle('playing', !watching && roomName !== null);
+    const rig = cameraRig;
+    const t = 1 - Math.exp(-CAMERA_SMOOTHING * deltaTime);
+    if (!watching) {
+      const me = view.players.find((p) => p.id === playerId);
+      const shot = playerCamera.mode === 'follow' && me
+        ? followShot(me)
+        : { x: 0, y: 0, distance: OVERVIEW_DISTANCE };
+      rig.target.x = lerp(rig.target.x, shot.x, t);
+      rig.target.z = lerp(rig.target.z, shot.y, t);
+      rig.distance = lerp(rig.distance, shot.distance, t);
+      placeCamera(0, playerCamera.mode === 'follow' ? FOLLOW_PITCH : OVERVIEW_PITCH);
+      updateViewBar();
+      return;
+    }
+    const cam = spectatorCamera;
+    let shot = null; // { x, y, distance } to move towards
+    if (cam.mode === 'director') {
+      shot = directorShot(view);
+    } else if (cam.mode === 'follow') {
+      let followed = view.players.find((p) => p.id === cam.followId);
+      if (!followed && view.players.length > 0) {
+        // The player we followed left; pick up someone else
+        followed = view.players[0];
+        cam.followId = followed.id;
+      }
+      shot = followed ? { x: followed.x, y: followed.y, distance: FOLLOW_DISTANCE } : null;
+    } else {
+      const { x: dx, y: dy } = keyDirection();
+      if (dx !== 0 || dy !== 0) {
+        const step = (CAMERA_PAN_SPEED * deltaTime * window.innerHeight) / rig.distance;
+        // Panning drags the ground, so the view moves the opposite way
+        panCamera(-dx * step, -dy * step);
+      }
+    }
+    if (shot) {
+      rig.target.x = lerp(rig.target.x, shot.x, t);
+      rig.target.z = lerp(rig.target.z, shot.y, t);
+    }
+    rig.distance = lerp(rig.distance, (shot ? shot.distance : OVERVIEW_DISTANCE) * cam.zoom, t);
+    placeCamera(cam.yaw, cam.pitch);
+    updateCameraBar();
+  }
+
+  // Put the camera `yaw` around and `pitch` above the rig's target
+  function placeCamera(yaw, pitch) {
+    const { target, distance } = cameraRig;
+    const horizontal = Math.cos(pitch) * distance;
+    camera.position.set(
+      target.x + Math.sin(yaw) * horizontal,
+      Math.sin(pitch) * distance,
+      target.z + Math.cos(yaw) * horizontal,
+    );
+    camera.lookAt(target);
+  }
+
+  // Show which view we play with; zooming only applies to following
+  function updateViewBar() {
+    for (const button of document.querySelectorAll('#viewBar [data-view]')) {
+      button.classList.toggle('active', button.dataset.view === playerCamera.mode);
+    }
+    const following = playerCamera.mode === 'follow';
+    document.getElementById('zoomIn').disabled = !following || playerCamera.zoom <= CAMERA_ZOOM_MIN;
+    document.getElementById('zoomOut').disabled = !following || playerCamera.zoom >= CAMERA_ZOOM_MAX;
+  }
+
+  // Highlight the camera mode in use and name the player being followed
+  function updateCameraBar() {
+    const { mode, followId } = spectatorCamera;
+    for (const button of document.querySelectorAll('#cameraBar [data-mode]')) {
+      button.classList.toggle('active', button.dataset.mode === mode);
+    }
+    const followed = mode === 'follow' && roster.find((p) => p.id === followId);
+    const label = followed ? followed.name || followed.id.slice(0, 4) : '';
+    const followName = document.getElementById('followName');
+    if (followName.textContent !== label) followName.textContent = label;
+  }
+
   /** Input handling: keyboard and touch controls */
   function initInput() {
-    // Keyboard
+    // Keyboard, unless we're typing in the lobby or setting a key
     document.addEventListener('keydown', (e) => {
-      handleKey(e.key, true);
+      if (settingsOpen()) {
+        handleSettingsKey(e);
+      } else if (!(e.target instanceof Element && e.target.closest('input, select, textarea'))) {
+        handleKey(e.code, true);
+      }
     });
     document.addEventListener('keyup', (e) => {
-      handleKey(e.key, false);
+      handleKey(e.code, false);
+    });
+    // Key-up events go elsewhere while the window is in the background
+    window.addEventListener('blur', releaseAllKeys);
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) releaseAllKeys();
     });
+    if (navigator.keyboard && navigator.keyboard.getLayoutMap) {
+      navigator.keyboard.getLayoutMap()
+        .then((layout) => {
+          keyboardLayout = layout;
+          updateKeyHints();
+        })
+        .catch((err) => console.warn('Could not read the keyboard layout', err));
+    }
+    initSettings();
     // Touch controls for mobile
-    const upBtn = document.getElementById('upBtn');
-    const downBtn = document.getElementById('downBtn');
-    const leftBtn = document.getElementById('leftBtn');
-    const rightBtn = document.getElementById('rightBtn');
-    const controls = document.getElementById('controls');
-    const isTouch = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
-    if (isTouch) {
-      controls.style.display = 'grid';
-    }
-    function bindButton(btn, dx, dy) {
-      let active = false;
-      btn.addEventListener('touchstart', (e) => {
-        e.preventDefault();
-        active = true;
-        sendDirection(dx, dy);
-      });
-      btn.addEventListener('touchend', (e) => {
-        e.preventDefault();
-        active = false;
-        sendDirection(0, 0);
-      });
+    if (IS_TOUCH) {
+      document.getElementById('joystick').style.display = 'block';
+    }
+    initJoystick();
+    window.addEventListener('gamepadconnected', (e) => {
+      console.log('Gamepad connected:', e.gamepad.id);
+    });
+
+    // Kick button: hold to charge, release to kick
+    const kickBtn = document.getElementById('kickBtn');
+    if (IS_TOUCH) {
+      kickBtn.style.display = 'block';
+    }
+    kickBtn.addEventListener('touchstart', (e) => {
+      e.preventDefault();
+      startKickCharge();
+    });
+    kickBtn.addEventListener('touchend', (e) => {
+      e.preventDefault();
+      releaseKick();
+    });
+
+    // Tackle button
+    const tackleBtn = document.getElementById('tackleBtn');
+    if (IS_TOUCH) {
+      tackleBtn.style.display = 'block';
     }
-    bindButton(upBtn, 0, -1);
-    bindButton(downBtn, 0, 1);
-    bindButton(leftBtn, -1, 0);
-    bindButton(rightBtn, 1, 0);
+    tackleBtn.addEventListener('touchstart', (e) => {
+      e.preventDefault();
+      tackle();
+    });
+  }
+
+  /**
+   * On-screen analog stick. The touch that lands on it steers until it
+   * lifts, even if it strays off the stick, while other fingers press the
+   * kick and tackle buttons.
+   */
+  function initJoystick() {
+    const base = document.getElementById('joystick');
+    const knob = base.querySelector('.knob');
+    let touchId = null;
+    const ourTouch = (e) => Array.from(e.changedTouches).find((t) => t.identifier === touchId);
+    function steer(touch) {
+      const rect = base.getBoundingClientRect();
+      const radius = rect.width / 2;
+      let x = (touch.clientX - rect.left - radius) / radius;
+      let y = (touch.clientY - rect.top - radius) / radius;
+      const mag = Math.sqrt(x * x + y * y);
+      if (mag > 1) {
+        x /= mag;
+        y /= mag;
+      }
+      knob.style.transform = `translate(${x * radius}px, ${y * radius}px)`;
+      inputSources.stick = applyDeadZone(x, y, STICK_DEAD_ZONE);
+      updateDirection();
+    }
+    base.addEventListener('touchstart', (e) => {
+      e.preventDefault();
+      if (touchId !== null) return;
+      touchId = e.changedTouches[0].identifier;
+      steer(e.changedTouches[0]);
+    });
+    base.addEventListener('touchmove', (e) => {
+      e.preventDefault();
+      const touch = ourTouch(e);
+      if (touch) steer(touch);
+    });
+    const release = (e) => {
+      if (!ourTouch(e)) return;
+      e.preventDefault();
+      touchId = null;
+      knob.style.transform = '';
+      inputSources.stick = { x: 0, y: 0 };
+      updateDirection();
+    };
+    base.addEventListener('touchend', release);
+    base.addEventListener('touchcancel', release);
+  }
+
+  /**
+   * Ignore a stick's travel within `deadZone` of its centre and stretch the
+   * rest, so it still reaches full speed at the edge.
+   */
+  function applyDeadZone(x, y, deadZone) {
+    const mag = Math.sqrt(x * x + y * y);
+    if (mag <= deadZone) return { x: 0, y: 0 };
+    const scaled = Math.min(1, (mag - deadZone) / (1 - deadZone));
+    return { x: (x / mag) * scaled, y: (y / mag) * scaled };
   }
 
-  let keyState = { ArrowUp: false, ArrowDown: false, ArrowLeft: false, ArrowRight: false, w: false, a: false, s: false, d: false };
-  function handleKey(key, down) {
-    if (keyState.hasOwnProperty(key)) {
-      keyState[key] = down;
+  /**
+   * Read the first connected gamepad, once a frame: the left stick or the
+   * d-pad moves, A kicks and B tackles, as the keyboard does.
+   */
+  function pollGamepad() {
+    const connected = navigator.getGamepads && Array.from(navigator.getGamepads()).find((p) => p && p.connected);
+    // Spectators' gamepads don't play; without one everything held is let go
+    const pad = connected && !spectating() ? connected : null;
+    const pressed = pad ? pad.buttons.map((b) => b.pressed) : [];
+    let { x, y } = pad ? applyDeadZone(pad.axes[0] || 0, pad.axes[1] || 0, GAMEPAD_DEAD_ZONE) : { x: 0, y: 0 };
+    if (pad && pad.mapping === 'standard') {
+      const [up, down, left, right] = GAMEPAD_DPAD.map((i) => pressed[i]);
+      if (up || down) y = (down ? 1 : 0) - (up ? 1 : 0);
+      if (left || right) x = (right ? 1 : 0) - (left ? 1 : 0);
+    }
+    if (x !== inputSources.gamepad.x || y !== inputSources.gamepad.y) {
+      inputSources.gamepad = { x, y };
+      updateDirection();
+    }
+    if (pressed[GAMEPAD_KICK] && !gamepadButtons[GAMEPAD_KICK]) startKickCharge();
+    if (!pressed[GAMEPAD_KICK] && gamepadButtons[GAMEPAD_KICK]) releaseKick();
+    if (pressed[GAMEPAD_TACKLE] && !gamepadButtons[GAMEPAD_TACKLE]) tackle();
+    gamepadButtons = pressed;
+  }
+
+  /** Dash towards where we're heading; the server decides whether it lands */
+  function tackle() {
+    const now = performance.now();
+    if (now < tackleReadyAt || prediction.stunTicks > 0 || !movementAllowed()) return;
+    const dir = (currentDirection.x !== 0 || currentDirection.y !== 0) ? currentDirection : lastDirection;
+    sendMessage({ type: 'tackle', x: dir ? dir.x : 0, y: dir ? dir.y : 0 });
+    // Predict the dash straight away rather than waiting for the server
+    if (dir && serverConfig) {
+      const mag = Math.sqrt(dir.x * dir.x + dir.y * dir.y);
+      prediction.dashX = dir.x / mag;
+      prediction.dashY = dir.y / mag;
+      prediction.dashTicks = Math.round(serverConfig.tackleDuration / serverConfig.tickInterval);
+    }
+    // Block repeats until the server confirms the real cooldown
+    tackleReadyAt = now + 1000;
+  }
+
+  /** Tackle readiness meter in the HUD */
+  function updateTackleIndicator() {
+    const indicator = document.getElementById('tackleCooldown');
+    const remaining = Math.max(0, tackleReadyAt - performance.now());
+    const ready = remaining === 0;
+    indicator.classList.toggle('ready', ready);
+    const fraction = ready || tackleCooldown === 0 ? 1 : 1 - remaining / tackleCooldown;
+    indicator.querySelector('.fill').style.width = `${Math.max(0, fraction) * 100}%`;
+  }
+
+  function startKickCharge() {
+    if (kickChargeStart === null) {
+      kickChargeStart = performance.now();
+    }
+  }
+
+  // Charge in [0, 1] built up since the kick key went down
+  function kickCharge() {
+    if (kickChargeStart === null) return 0;
+    return Math.min(1, (performance.now() - kickChargeStart) / KICK_CHARGE_TIME);
+  }
+
+  function releaseKick() {
+    if (kickChargeStart === null) return;
+    const charge = kickCharge();
+    kickChargeStart = null;
+    // Aim where we're moving, or where we last moved; the server falls back
+    // to our facing direction if we send none
+    const dir = (currentDirection.x !== 0 || currentDirection.y !== 0) ? currentDirection : lastDirection;
+    sendMessage({ type: 'kick', x: dir ? dir.x : 0, y: dir ? dir.y : 0, charge });
+  }
+
+  /** Show the charge bar while the kick is held */
+  function updateKickIndicator() {
+    const indicator = document.getElementById('kickCharge');
+    if (kickChargeStart === null) {
+      indicator.style.display = 'none';
+      return;
+    }
+    indicator.style.display = 'block';
+    indicator.querySelector('.fill').style.width = `${kickCharge() * 100}%`;
+  }
+
+  function handleKey(code, down) {
+    // Ignore auto-repeat, and keys let go of that we never saw pressed
+    if (down === heldKeys.has(code)) return;
+    if (down) {
+      heldKeys.add(code);
+    } else {
+      heldKeys.delete(code);
+    }
+    if (spectating()) {
+      handleCameraKey(code, down);
+      return;
+    }
+    const action = actionFor(code);
+    if (action === 'kick') {
+      if (down) startKickCharge();
+      else releaseKick();
+    } else if (action === 'tackle') {
+      if (down) tackle();
+    } else if (action === 'view') {
+      if (down) setPlayerCameraMode(playerCamera.mode === 'follow' ? 'overview' : 'follow');
+    } else if (action === 'zoomIn' || action === 'zoomOut') {
+      if (down && playerCamera.mode === 'follow') zoomCamera(action === 'zoomOut' ? CAMERA_ZOOM_STEP : 1 / CAMERA_ZOOM_STEP);
+    } else if (action) {
       computeDirection();
     }
   }
-  // Compute direction vector from keyState and send to server
+
+  // Let go of every key, without firing a half-charged kick
+  function releaseAllKeys() {
+    heldKeys.clear();
+    kickChargeStart = null;
+    computeDirection();
+  }
+
+  // The action a key is bound to, if any
+  function actionFor(code) {
+    return ACTIONS.map((a) => a.name).find((name) => bindings[name].includes(code)) || null;
+  }
+
+  function isHeld(action) {
+    return bindings[action].some((code) => code !== null && heldKeys.has(code));
+  }
+
+  // Direction from the movement keys held
+  function keyDirection() {
+    return {
+      x: (isHeld('right') ? 1 : 0) - (isHeld('left') ? 1 : 0),
+      y: (isHeld('down') ? 1 : 0) - (isHeld('up') ? 1 : 0),
+    };
+  }
+
   function computeDirection() {
-    let dx = 0;
-    let dy = 0;
-    if (keyState.ArrowUp || keyState.w) dy -= 1;
-    if (keyState.ArrowDown || keyState.s) dy += 1;
-    if (keyState.ArrowLeft || keyState.a) dx -= 1;
-    if (keyState.ArrowRight || keyState.d) dx += 1;
+    inputSources.keys = keyDirection();
+    updateDirection();
+  }
+
+  // Saved bindings over the defaults; anything unreadable is left at its default
+  function loadBindings() {
+    const loaded = {};
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(BINDINGS_KEY)) || {};
+    } catch (err) {
+      console.warn('Ignoring unreadable key bindings', err);
+    }
+    for (const action of ACTIONS) {
+      const keys = saved[action.name];
+      const valid = Array.isArray(keys) && keys.length === 2 && keys.every((k) => k === null || typeof k === 'string');
+      loaded[action.name] = valid ? keys : action.keys.slice();
+    }
+    return loaded;
+  }
+
+  function saveBindings() {
+    localStorage.setItem(BINDINGS_KEY, JSON.stringify(bindings));
+    updateKeyHints();
+  }
 
-    // Update current direction for rotation calculations
-    currentDirection.x = dx;
-    currentDirection.y = dy;
+  // What a key is called: what it prints on this layout if the browser says,
+  // otherwise a name made from its code
+  function keyLabel(code) {
+    const printed = keyboardLayout && keyboardLayout.get(code);
+    if (printed && printed.trim()) return printed.toUpperCase();
+    return KEY_NAMES[code] || code.replace(/^(Key|Digit)/, '');
+  }
+
+  // Every key bound to an action, for hints
+  function bindingLabel(action) {
+    const keys = bindings[action].filter((code) => code !== null);
+    return keys.length > 0 ? keys.map(keyLabel).join(' / ') : 'unbound';
+  }
+
+  // Name the bound keys wherever the page mentions them: data-hint holds
+  // the action, data-text or data-title the words to show it with
+  function updateKeyHints() {
+    for (const elem of document.querySelectorAll('[data-hint]')) {
+      const label = `(${bindingLabel(elem.dataset.hint)})`;
+      if (elem.dataset.text) {
+        elem.textContent = `${elem.dataset.text} ${label}`;
+      } else {
+        elem.title = `${elem.dataset.title} ${label}`;
+      }
+    }
+  }
+
+  /** Settings panel for rebinding keys, opened from the lobby or the view bar */
+  function initSettings() {
+    for (const button of document.querySelectorAll('[data-open-settings]')) {
+      button.addEventListener('click', openSettings);
+    }
+    document.getElementById('settingsDone').addEventListener('click', closeSettings);
+    document.getElementById('settingsReset').addEventListener('click', () => {
+      bindings = Object.fromEntries(ACTIONS.map((a) => [a.name, a.keys.slice()]));
+      rebinding = null;
+      saveBindings();
+      renderSettings();
+    });
+    updateKeyHints();
+  }
 
-    sendDirection(dx, dy);
+  function settingsOpen() {
+    return document.getElementById('settings').style.display === 'block';
   }
+
+  function openSettings() {
+    releaseAllKeys();
+    document.getElementById('settings').style.display = 'block';
+    renderSettings();
+  }
+
+  function closeSettings() {
+    rebinding = null;
+    document.getElementById('settings').style.display = 'none';
+  }
+
+  // A row per action with a button for each of its two keys
+  function renderSettings() {
+    const table = document.getElementById('bindingTable');
+    table.innerHTML = '';
+    for (const action of ACTIONS) {
+      const row = table.insertRow();
+      row.insertCell().textContent = action.label;
+      bindings[action.name].forEach((code, slot) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        const waiting = rebinding && rebinding.action === action.name && rebinding.slot === slot;
+        button.textContent = waiting ? 'Press a key…' : code === null ? '—' : keyLabel(code);
+        button.classList.toggle('waiting', Boolean(waiting));
+        button.addEventListener('click', () => {
+          rebinding = { action: action.name, slot };
+          renderSettings();
+        });
+        row.insertCell().appendChild(button);
+      });
+    }
+  }
+
+  /**
+   * Keys pressed with the settings panel open: bind the key to the slot
+   * waiting for one (taking it off any other action), Backspace or Delete
+   * clear the slot, Escape cancels, or closes the panel.
+   */
+  function handleSettingsKey(e) {
+    if (!rebinding) {
+      if (e.code === 'Escape') closeSettings();
+      return;
+    }
+    e.preventDefault();
+    if (e.code === 'Backspace' || e.code === 'Delete') {
+      bindings[rebinding.action][rebinding.slot] = null;
+    } else if (e.code !== 'Escape') {
+      for (const keys of Object.values(bindings)) {
+        keys.forEach((code, slot) => {
+          if (code === e.code) keys[slot] = null;
+        });
+      }
+      bindings[rebinding.action][rebinding.slot] = e.code;
+    }
+    rebinding = null;
+    saveBindings();
+    renderSettings();
+  }
+
+  // Combine the input sources and send the direction if it changed. At most
+  // one goes out per server tick, as the server applies no more than that
+  // and analog sticks would otherwise send one every frame.
+  function updateDirection() {
+    if (inputTimer !== null) return; // the send already waiting will take the latest
+    const wait = lastInputAt + (serverConfig ? serverConfig.tickInterval : 0) - performance.now();
+    if (wait > 0) {
+      inputTimer = setTimeout(() => {
+        inputTimer = null;
+        updateDirection();
+      }, wait);
+      return;
+    }
+    let x = 0;
+    let y = 0;
+    for (const source of Object.values(inputSources)) {
+      x += source.x;
+      y += source.y;
+    }
+    // Two decimals are plenty, and keep a resting thumb from flooding the server
+    x = Math.round(Math.max(-1, Math.min(1, x)) * 100) / 100;
+    y = Math.round(Math.max(-1, Math.min(1, y)) * 100) / 100;
+    if (x !== currentDirection.x || y !== currentDirection.y) {
+      lastInputAt = performance.now();
+      sendDirection(x, y);
+    }
+  }
+
   function sendDirection(x, y) {
-    if (socket && socket.readyState === WebSocket.OPEN) {
-      socket.send(JSON.stringify({ type: 'input', x, y }));
+    // Update current direction for prediction and rotation calculations
+    currentDirection.x = x;
+    currentDirection.y = y;
+    if (x !== 0 || y !== 0) {
+      lastDirection = { x, y };
     }
+    // Each input gets a sequence number the server echoes back for reconciliation
+    inputSeq += 1;
+    prediction.ticksUnderSeq = 0;
+    sendMessage({ type: 'input', x, y, seq: inputSeq });
+  }
+
+  /** Lay out a score bar per team, with the match clock in the middle */
+  function buildScoreboard() {
+    const scoreboard = document.getElementById('scoreboard');
+    const timer = document.getElementById('matchTimer');
+    for (const elem of scoreboard.querySelectorAll('.team')) {
+      elem.remove();
+    }
+    teams.forEach((t, i) => {
+      const elem = document.createElement('div');
+      elem.className = 'team';
+      elem.dataset.team = t;
+      elem.innerHTML = '<div class="label"></div><div class="bar"><div class="fill"></div></div><div class="scoreValue"></div>';
+      elem.querySelector('.label').textContent = t;
+      elem.querySelector('.fill').style.background = teamColor(t);
+      scoreboard.insertBefore(elem, i < Math.ceil(teams.length / 2) ? timer : null);
+    });
   }
 
   /** Update scoreboard overlay based on gameState */
   function updateScoreboard() {
-    // Compute team scores
-    let leftScore = 0;
-    let rightScore = 0;
-    for (const p of gameState.players) {
-      if (p.team === 'left') leftScore += p.score;
-      else if (p.team === 'right') rightScore += p.score;
-    }
-    // Update bar widths and text
-    const leftElem = document.getElementById('leftTeam');
-    const rightElem = document.getElementById('rightTeam');
-    const leftFill = leftElem.querySelector('.fill');
-    const rightFill = rightElem.querySelector('.fill');
-    const leftScoreValue = leftElem.querySelector('.scoreValue');
-    const rightScoreValue = rightElem.querySelector('.scoreValue');
-    leftFill.style.width = `${Math.min(leftScore / 3, 1) * 100}%`;
-    rightFill.style.width = `${Math.min(rightScore / 3, 1) * 100}%`;
-    leftScoreValue.textContent = `${leftScore} / 3`;
-    rightScoreValue.textContent = `${rightScore} / 3`;
+    // Team scores are kept by the server so they survive players leaving
+    const target = matchState.scoreTarget;
+    for (const elem of document.querySelectorAll('#scoreboard .team')) {
+      const score = gameState.scores[elem.dataset.team] || 0;
+      elem.querySelector('.fill').style.width = `${Math.min(score / target, 1) * 100}%`;
+      elem.querySelector('.scoreValue').textContent = `${score} / ${target}`;
+    }
+
+    // Match clock: only shown while a timed match is being played
+    const timer = document.getElementById('matchTimer');
+    if (matchState.phase === 'playing' && matchState.endsAt !== null) {
+      const secondsLeft = Math.ceil(phaseRemaining() / 1000);
+      const minutes = Math.floor(secondsLeft / 60);
+      timer.textContent = `${minutes}:${String(secondsLeft % 60).padStart(2, '0')}`;
+    } else {
+      timer.textContent = '';
+    }
+  }
+
+  // Milliseconds left in the current phase, 0 if the phase has no end
+  function phaseRemaining() {
+    return matchState.endsAt === null ? 0 : Math.max(0, matchState.endsAt - performance.now());
+  }
+
+  /** Show waiting/countdown/result banners for the current match phase */
+  function updateMatchOverlay() {
+    const overlay = document.getElementById('matchOverlay');
+    const title = overlay.querySelector('.title');
+    const subtitle = overlay.querySelector('.subtitle');
+    const hint = document.getElementById('hint');
+    hint.textContent = roomName && team === null
+      ? 'You are spectating: drag to look around, click a player to follow them. Pick a team in the roster to play between matches.'
+      : `Collect at least ${matchState.scoreTarget} balls and deliver to your goal to win!`;
+
+    let titleText = '';
+    let subtitleText = '';
+    let resultClass = '';
+    if (!roomName && !replay.active) {
+      // Still in the lobby
+    } else if (matchState.phase === 'waiting') {
+      titleText = 'Waiting for players…';
+      subtitleText = 'Warm up while more players join';
+    } else if (matchState.phase === 'countdown') {
+      titleText = String(Math.max(1, Math.ceil(phaseRemaining() / 1000)));
+      subtitleText = 'Get ready!';
+    } else if (matchState.phase === 'finished') {
+      if (!matchState.winner) {
+        titleText = 'Draw';
+        resultClass = 'draw';
+      } else if (replay.active || team === null) {
+        titleText = `${matchState.winner[0].toUpperCase()}${matchState.winner.slice(1)} team wins`;
+        resultClass = 'victory';
+      } else if (matchState.winner === team) {
+        titleText = 'Victory!';
+        resultClass = 'victory';
+      } else {
+        titleText = 'Defeat';
+        resultClass = 'defeat';
+      }
+      subtitleText = replay.active ? 'Full time' : `Next match in ${Math.ceil(phaseRemaining() / 1000)}s`;
+    }
+    overlay.style.display = titleText ? 'block' : 'none';
+    overlay.className = `match-overlay ${resultClass}`;
+    overlay.classList.toggle('banner', matchState.phase === 'waiting');
+    title.textContent = titleText;
+    subtitle.textContent = subtitleText;
   }
 
   /** Calculate target rotation based on movement direction and team */
@@ -426,6 +1959,162 @@
     return current + actualRotation;
   }
 
+  // Take a player's mesh out of the scene along with its animation state
+  function removePlayerMesh(id) {
+    const mesh = playerMeshes.get(id);
+    if (mesh) {
+      scene.remove(mesh);
+    }
+    // Clean up animation mixer
+    const mixer = playerMixers.get(id);
+    if (mixer) {
+      mixer.stopAllAction();
+      playerMixers.delete(id);
+    }
+    // Clean up animation state, rotation data, and previous positions
+    playerAnimationStates.delete(id);
+    playerRotationData.delete(id);
+    playerPreviousPositions.delete(id);
+    playerMeshes.delete(id);
+  }
+
+  function teamColors(t) {
+    return TEAM_COLORS[Math.max(0, teams.indexOf(t)) % TEAM_COLORS.length];
+  }
+
+  // CSS colour for a team's players
+  function teamColor(t) {
+    return `#${teamColors(t).player.toString(16).padStart(6, '0')}`;
+  }
+
+  /**
+   * Keep the name floating above a player up to date: ours in white,
+   * everyone else's in their team colour.
+   */
+  function updateNameplate(p) {
+    const label = p.name || p.id.slice(0, 4);
+    let sprite = nameplates.get(p.id);
+    // Redrawn when the name changes, or the team colour after a team switch
+    if (!sprite || sprite.userData.label !== label || sprite.userData.team !== p.team) {
+      removeNameplate(p.id);
+      sprite = createNameplate(label, p.id === playerId ? '#ffffff' : teamColor(p.team));
+      sprite.userData.label = label;
+      sprite.userData.team = p.team;
+      scene.add(sprite);
+      nameplates.set(p.id, sprite);
+    }
+    sprite.position.set(p.x, NAMEPLATE_HEIGHT, p.y);
+  }
+
+  // A sprite showing text on a dark label, drawn on top of the scene
+  function createNameplate(text, color) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 64;
+    const ctx = canvas.getContext('2d');
+    ctx.font = 'bold 32px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    const width = Math.min(canvas.width, ctx.measureText(text).width + 24);
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+    ctx.fillRect((canvas.width - width) / 2, 8, width, 48);
+    ctx.fillStyle = color;
+    ctx.fillText(text, canvas.width / 2, canvas.height / 2, canvas.width - 16);
+    const material = new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), depthTest: false });
+    const sprite = new THREE.Sprite(material);
+    sprite.scale.set(40, 10, 1);
+    sprite.renderOrder = 1;
+    return sprite;
+  }
+
+  function removeNameplate(id) {
+    const sprite = nameplates.get(id);
+    if (!sprite) return;
+    scene.remove(sprite);
+    sprite.material.map.dispose();
+    sprite.material.dispose();
+    nameplates.delete(id);
+  }
+
+  /**
+   * Roster panel: everyone in the room by team, with their own goals, and
+   * who is watching. Between matches it offers to switch team or spectate.
+   */
+  function updateRoster() {
+    const panel = document.getElementById('roster');
+    const visible = Boolean(roomName) || replay.active;
+    const canSwitch = Boolean(roomName) && matchState.phase !== 'playing';
+    if (rosterNotice && performance.now() > rosterNotice.until) rosterNotice = null;
+    const key = visible ? JSON.stringify([roster, spectators, team, canSwitch, rosterNotice && rosterNotice.text]) : '';
+    if (key === rosterKey) return;
+    rosterKey = key;
+    panel.style.display = visible ? 'block' : 'none';
+    panel.innerHTML = '';
+    for (const t of teams) {
+      const members = roster.filter((p) => p.team === t).sort((a, b) => b.score - a.score);
+      if (members.length === 0 && !canSwitch) continue;
+      const heading = document.createElement('div');
+      heading.className = 'roster-team';
+      heading.style.color = teamColor(t);
+      heading.textContent = t;
+      if (canSwitch && t !== team) {
+        heading.appendChild(rosterButton('Join', t));
+      }
+      panel.appendChild(heading);
+      for (const p of members) {
+        const row = document.createElement('div');
+        row.className = 'roster-row';
+        row.classList.toggle('me', p.id === playerId);
+        row.classList.toggle('bot', Boolean(p.bot));
+        row.dataset.id = p.id;
+        row.addEventListener('click', () => {
+          if (spectating()) followPlayer(p.id);
+        });
+        const name = document.createElement('span');
+        name.className = 'name';
+        name.textContent = p.name || p.id.slice(0, 4);
+        const score = document.createElement('span');
+        score.className = 'score';
+        score.textContent = p.score;
+        row.appendChild(name);
+        row.appendChild(score);
+        panel.appendChild(row);
+      }
+    }
+    if (spectators.length > 0 || (canSwitch && team !== null)) {
+      const heading = document.createElement('div');
+      heading.className = 'roster-team';
+      heading.textContent = 'Spectators';
+      if (canSwitch && team !== null) {
+        heading.appendChild(rosterButton('Watch', null));
+      }
+      panel.appendChild(heading);
+      for (const spectator of spectators) {
+        const row = document.createElement('div');
+        row.className = 'roster-row';
+        row.classList.toggle('me', spectator.id === playerId);
+        row.textContent = spectator.name;
+        panel.appendChild(row);
+      }
+    }
+    if (rosterNotice) {
+      const notice = document.createElement('div');
+      notice.className = 'roster-notice';
+      notice.textContent = rosterNotice.text;
+      panel.appendChild(notice);
+    }
+  }
+
+  // Button asking the server to move us to a team, or to spectate with null
+  function rosterButton(label, toTeam) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', () => sendMessage({ type: 'chooseTeam', team: toTeam }));
+    return button;
+  }
+
+
   /** Main animation loop: update meshes to reflect game state */
   function animate() {
     requestAnimationFrame(animate);
@@ -433,33 +2122,45 @@
     // Get delta time once per frame
     const deltaTime = clock.getDelta();
 
+    // Advance our own prediction (or the replay), then work out where everything is drawn
+    pollGamepad();
+    updatePrediction(deltaTime);
+    updateReplay(deltaTime);
+    const view = getRenderState();
+
     // Update players
     const existingPlayerIds = new Set(playerMeshes.keys());
-    for (const p of gameState.players) {
+    for (const p of view.players) {
       existingPlayerIds.delete(p.id);
       let mesh = playerMeshes.get(p.id);
+      const character = characterModels.get(p.model) || characterModels.get(defaultCharacter);
+      // Swap the stand-in shown while the character was loading for the real model
+      if (mesh && mesh.userData.fallback && character) {
+        removePlayerMesh(p.id);
+        mesh = null;
+      }
       if (!mesh) {
-        if (bearModel) {
-          // Clone the bear model using SkeletonUtils for proper animation support
-          mesh = THREE.SkeletonUtils.clone(bearModel);
+        if (character) {
+          // Clone the character model using SkeletonUtils for proper animation support
+          mesh = THREE.SkeletonUtils.clone(character.scene);
           mesh.traverse((child) => {
             if (child instanceof THREE.Mesh && child.material) {
               child.material = child.material.clone(); // Avoid sharing materials between players
             }
           });
 
-          // Initial rotation will be set by the rotation system
-          // Left team on left side faces right toward center, right team on right side faces left toward center
-          const initialRotation = p.team === 'left' ? Math.PI / 2 : -Math.PI / 2;
-          mesh.rotation.y = initialRotation;
+          // Initial rotation will be set by the rotation system; players
+          // start off facing the centre of the field from their spawn
+          const initialRotation = calculateTargetRotation(-p.x, -p.y, p.team);
+          mesh.rotation.y = initialRotation === null ? Math.PI / 2 : initialRotation;
 
           // Set up animation mixer for this player
-          if (bearAnimations.length > 0) {
+          if (character.animations.length > 0) {
             const mixer = new THREE.AnimationMixer(mesh);
             playerMixers.set(p.id, mixer);
 
             // Always take the first animation in the GLB
-            const action = mixer.clipAction(bearAnimations[0]);
+            const action = mixer.clipAction(character.animations[0]);
             action.setLoop(THREE.LoopRepeat);
             action.clampWhenFinished = false;
             action.enable = true;
@@ -467,7 +2168,7 @@
             action.setEffectiveWeight(1);
             action.play();
 
-            console.log(`✓ Playing animation "${bearAnimations[0].name}" for player ${p.id}`);
+            console.log(`✓ Playing animation "${character.animations[0].name}" for player ${p.id}`);
             console.log(`  Animation enabled: ${action.enabled}, paused: ${action.paused}, time: ${action.time}`);
             
             // Save state so we can update mixer later
@@ -475,7 +2176,7 @@
               currentAction: action
             });
 
-            console.log(`✓ Playing animation "${bearAnimations[0].name}" for player ${p.id}`);
+            console.log(`✓ Playing animation "${character.animations[0].name}" for player ${p.id}`);
           }
 
 
@@ -486,7 +2187,7 @@
           const group = new THREE.Group();
           // Body
           const bodyGeo = new THREE.CylinderGeometry(4, 4, 12, 16);
-          const bodyMat = new THREE.MeshLambertMaterial({ color: p.team === 'left' ? 0x007bff : 0xe91e63 });
+          const bodyMat = new THREE.MeshLambertMaterial({ color: teamColors(p.team).player });
           const body = new THREE.Mesh(bodyGeo, bodyMat);
           body.position.set(0, 6, 0);
           group.add(body);
@@ -496,6 +2197,7 @@
           const head = new THREE.Mesh(headGeo, headMat);
           head.position.set(0, 13, 0);
           group.add(head);
+          group.userData.fallback = true;
           // Add group to scene
           scene.add(group);
           playerMeshes.set(p.id, group);
@@ -527,10 +2229,24 @@
 
       // Update position and store current position as previous for next frame
       mesh.position.set(p.x, 12, p.y);
+      updateNameplate(p);
       playerPreviousPositions.set(p.id, { x: p.x, y: p.y });
 
+      // Hit reaction: wobble and hop while stunned by a tackle
+      const hit = hitReactions.get(p.id);
+      const now = performance.now();
+      if (hit && now < hit.end) {
+        const elapsed = (now - hit.start) / 1000;
+        const strength = 1 - (now - hit.start) / (hit.end - hit.start);
+        mesh.rotation.z = Math.sin(elapsed * 30) * 0.35 * strength;
+        mesh.position.y += Math.abs(Math.sin(elapsed * 12)) * 4 * strength;
+      } else {
+        hitReactions.delete(p.id);
+        mesh.rotation.z = 0;
+      }
+
       // Handle rotation for bear models
-      if (bearModel && playerMeshes.get(p.id) === mesh) {
+      if (!mesh.userData.fallback) {
         // Initialize rotation data if not exists
         if (!playerRotationData.has(p.id)) {
           playerRotationData.set(p.id, {
@@ -595,25 +2311,12 @@
     }
     // Remove players that no longer exist
     for (const id of existingPlayerIds) {
-      const mesh = playerMeshes.get(id);
-      if (mesh) {
-        scene.remove(mesh);
-      }
-      // Clean up animation mixer
-      const mixer = playerMixers.get(id);
-      if (mixer) {
-        mixer.stopAllAction();
-        playerMixers.delete(id);
-      }
-      // Clean up animation state, rotation data, and previous positions
-      playerAnimationStates.delete(id);
-      playerRotationData.delete(id);
-      playerPreviousPositions.delete(id);
-      playerMeshes.delete(id);
+      removePlayerMesh(id);
+      removeNameplate(id);
     }
     // Update balls
     const existingBallIds = new Set(ballMeshes.keys());
-    for (const b of gameState.balls) {
+    for (const b of view.balls) {
       existingBallIds.delete(b.id);
       let mesh = ballMeshes.get(b.id);
       if (!mesh) {
@@ -649,8 +2352,14 @@
       ballMeshes.delete(id);
     }
 
-    // Update scoreboard
+    updateCamera(deltaTime, view);
+
+    // Update scoreboard and match banners
     updateScoreboard();
+    updateRoster();
+    updateMatchOverlay();
+    updateKickIndicator();
+    updateTackleIndicator();
 
     // Update animation mixers
 
@@ -671,7 +2380,7 @@
     } else {
       // Debug when no mixers are found
       if (Math.random() < 0.001) { // Very occasional
-        console.log('No animation mixers found - checking if bear model is loaded:', bearModel !== null);
+        console.log('No animation mixers found - character models loaded:', characterModels.size);
       }
     }
 
@@ -679,8 +2388,16 @@
   }
 
   // Kick off everything
-  initSocket();
+  buildScoreboard();
+  initLobby();
+  const replayId = new URLSearchParams(location.search).get('replay');
+  if (replayId) {
+    startReplay(replayId);
+  } else {
+    initSocket();
+  }
   initScene();
   initInput();
+  initSpectatorCamera();
   animate();
 })();
\ No newline at end of file
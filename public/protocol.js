@@ -0,0 +1,264 @@
+/*
+ * Binary state protocol for Goal Ball.
+ *
+ * Shared by server.js (via require) and the browser (as the global
+ * GoalBallProtocol). Control messages stay JSON; only the state snapshots
+ * go over the wire in this compact format. Entities are referred
+ * to by short numeric ids that the server announces once at spawn,
+ * positions are quantised to 16-bit integers, and every snapshot is a delta
+ * against the last snapshot the client acknowledged.
+ *
+ * Snapshot layout (little endian):
+ *   u8  message type (MSG_SNAPSHOT)
+ *   u32 snapshot sequence number
+ *   u32 baseline sequence number (0 = full snapshot)
+ *   f64 server time (ms)
+ *   u32 tick
+ *   u8  match phase (index into PHASES)
+ *   i32 ms remaining in the phase (-1 = no limit)
+ *   u8  team count, then u16 score per team
+ *   for players, then balls:
+ *     u16 changed count, then per entity: u16 id, u16 field mask, fields
+ *     u16 removed count, then u16 id per removed entity
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.GoalBallProtocol = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // WebSocket subprotocols offered by the client when connecting
+  const SUBPROTOCOL_BINARY = 'goalball.binary';
+  const SUBPROTOCOL_JSON = 'goalball.json';
+
+  const MSG_SNAPSHOT = 1;
+
+  // WebSocket close codes for connections an admin ended
+  const CLOSE_KICKED = 4001;
+  const CLOSE_BANNED = 4003;
+
+  // Positions are sent in 1/16 world units, which keeps +-2048 units in an i16
+  const POSITION_SCALE = 16;
+
+  // Entity id that means "no entity", e.g. a ball nobody carries
+  const NO_ENTITY = 0xffff;
+
+  const PHASES = ['waiting', 'countdown', 'playing', 'finished'];
+
+  // Fields sent for each entity kind, in wire order. Values are integers;
+  // the server quantises them before encoding.
+  const PLAYER_FIELDS = [
+    { name: 'x', type: 'i16' },
+    { name: 'y', type: 'i16' },
+    { name: 'score', type: 'u16' },
+    { name: 'seq', type: 'u32' },
+    { name: 'seqTicks', type: 'u16' },
+  ];
+  const BALL_FIELDS = [
+    { name: 'x', type: 'i16' },
+    { name: 'y', type: 'i16' },
+    { name: 'carrier', type: 'u16' },
+  ];
+
+  const TYPE_SIZES = { u8: 1, u16: 2, i16: 2, u32: 4, i32: 4 };
+
+  function writeField(view, offset, type, value) {
+    switch (type) {
+      case 'u8': view.setUint8(offset, value); break;
+      case 'u16': view.setUint16(offset, value, true); break;
+      case 'i16': view.setInt16(offset, value, true); break;
+      case 'u32': view.setUint32(offset, value, true); break;
+      case 'i32': view.setInt32(offset, value, true); break;
+    }
+    return offset + TYPE_SIZES[type];
+  }
+
+  function readField(view, offset, type) {
+    switch (type) {
+      case 'u8': return view.getUint8(offset);
+      case 'u16': return view.getUint16(offset, true);
+      case 'i16': return view.getInt16(offset, true);
+      case 'u32': return view.getUint32(offset, true);
+      case 'i32': return view.getInt32(offset, true);
+    }
+    return 0;
+  }
+
+  function quantizePosition(value) {
+    return Math.max(-32768, Math.min(32767, Math.round(value * POSITION_SCALE)));
+  }
+
+  function dequantizePosition(value) {
+    return value / POSITION_SCALE;
+  }
+
+  // Work out which entities changed against the baseline and which fields
+  // of each need to be sent
+  function diffGroup(current, baseline, fields) {
+    const changed = [];
+    const removed = [];
+    for (const [id, entity] of current) {
+      const base = baseline && baseline.get(id);
+      let mask = 0;
+      for (let i = 0; i < fields.length; i++) {
+        if (!base || base[fields[i].name] !== entity[fields[i].name]) {
+          mask |= 1 << i;
+        }
+      }
+      if (mask !== 0) {
+        changed.push({ id, entity, mask });
+      }
+    }
+    if (baseline) {
+      for (const id of baseline.keys()) {
+        if (!current.has(id)) removed.push(id);
+      }
+    }
+    return { changed, removed };
+  }
+
+  function groupSize(diff, fields) {
+    let size = 4; // changed count + removed count
+    for (const { mask } of diff.changed) {
+      size += 4; // id + mask
+      for (let i = 0; i < fields.length; i++) {
+        if (mask & (1 << i)) size += TYPE_SIZES[fields[i].type];
+      }
+    }
+    return size + diff.removed.length * 2;
+  }
+
+  function writeGroup(view, offset, diff, fields) {
+    offset = writeField(view, offset, 'u16', diff.changed.length);
+    for (const { id, entity, mask } of diff.changed) {
+      offset = writeField(view, offset, 'u16', id);
+      offset = writeField(view, offset, 'u16', mask);
+      for (let i = 0; i < fields.length; i++) {
+        if (mask & (1 << i)) {
+          offset = writeField(view, offset, fields[i].type, entity[fields[i].name]);
+        }
+      }
+    }
+    offset = writeField(view, offset, 'u16', diff.removed.length);
+    for (const id of diff.removed) {
+      offset = writeField(view, offset, 'u16', id);
+    }
+    return offset;
+  }
+
+  // Rebuild a full entity map from the baseline plus the changes on the wire
+  function readGroup(view, offset, baseline, fields) {
+    const result = new Map(baseline || []);
+    const changedCount = readField(view, offset, 'u16');
+    offset += 2;
+    for (let n = 0; n < changedCount; n++) {
+      const id = readField(view, offset, 'u16');
+      const mask = readField(view, offset + 2, 'u16');
+      offset += 4;
+      const entity = Object.assign({}, result.get(id));
+      for (let i = 0; i < fields.length; i++) {
+        if (mask & (1 << i)) {
+          entity[fields[i].name] = readField(view, offset, fields[i].type);
+          offset += TYPE_SIZES[fields[i].type];
+        }
+      }
+      result.set(id, entity);
+    }
+    const removedCount = readField(view, offset, 'u16');
+    offset += 2;
+    for (let n = 0; n < removedCount; n++) {
+      result.delete(readField(view, offset, 'u16'));
+      offset += 2;
+    }
+    return { entities: result, offset };
+  }
+
+  /**
+   * Encode a snapshot as a delta against `baseline` (a previously encoded
+   * snapshot the client has acknowledged), or in full when baseline is null.
+   * Snapshots look like { seq, t, tick, phase, remaining, scores: [],
+   * players: Map(id -> fields), balls: Map(id -> fields) }.
+   * Returns an ArrayBuffer.
+   */
+  function encodeSnapshot(snapshot, baseline) {
+    const playerDiff = diffGroup(snapshot.players, baseline && baseline.players, PLAYER_FIELDS);
+    const ballDiff = diffGroup(snapshot.balls, baseline && baseline.balls, BALL_FIELDS);
+    const size = 1 + 4 + 4 + 8 + 4 + 1 + 4 + 1 + snapshot.scores.length * 2
+      + groupSize(playerDiff, PLAYER_FIELDS) + groupSize(ballDiff, BALL_FIELDS);
+    const buffer = new ArrayBuffer(size);
+    const view = new DataView(buffer);
+    let offset = 0;
+    offset = writeField(view, offset, 'u8', MSG_SNAPSHOT);
+    offset = writeField(view, offset, 'u32', snapshot.seq);
+    offset = writeField(view, offset, 'u32', baseline ? baseline.seq : 0);
+    view.setFloat64(offset, snapshot.t, true);
+    offset += 8;
+    offset = writeField(view, offset, 'u32', snapshot.tick);
+    offset = writeField(view, offset, 'u8', snapshot.phase);
+    offset = writeField(view, offset, 'i32', snapshot.remaining);
+    offset = writeField(view, offset, 'u8', snapshot.scores.length);
+    for (const score of snapshot.scores) {
+      offset = writeField(view, offset, 'u16', score);
+    }
+    offset = writeGroup(view, offset, playerDiff, PLAYER_FIELDS);
+    writeGroup(view, offset, ballDiff, BALL_FIELDS);
+    return buffer;
+  }
+
+  /**
+   * Decode a snapshot. `getBaseline(seq)` must return the decoded snapshot
+   * with that sequence number; if it can't, decoding throws and the client
+   * should ask for a full snapshot by acknowledging 0.
+   */
+  function decodeSnapshot(buffer, getBaseline) {
+    const view = new DataView(buffer);
+    let offset = 0;
+    if (readField(view, offset, 'u8') !== MSG_SNAPSHOT) {
+      throw new Error('Not a snapshot message');
+    }
+    offset += 1;
+    const seq = readField(view, offset, 'u32');
+    const baseSeq = readField(view, offset + 4, 'u32');
+    offset += 8;
+    let baseline = null;
+    if (baseSeq !== 0) {
+      baseline = getBaseline(baseSeq);
+      if (!baseline) {
+        throw new Error(`Missing baseline snapshot ${baseSeq}`);
+      }
+    }
+    const t = view.getFloat64(offset, true);
+    offset += 8;
+    const tick = readField(view, offset, 'u32');
+    const phase = readField(view, offset + 4, 'u8');
+    const remaining = readField(view, offset + 5, 'i32');
+    const scoreCount = readField(view, offset + 9, 'u8');
+    offset += 10;
+    const scores = [];
+    for (let i = 0; i < scoreCount; i++) {
+      scores.push(readField(view, offset, 'u16'));
+      offset += 2;
+    }
+    const players = readGroup(view, offset, baseline && baseline.players, PLAYER_FIELDS);
+    const balls = readGroup(view, players.offset, baseline && baseline.balls, BALL_FIELDS);
+    return { seq, t, tick, phase, remaining, scores, players: players.entities, balls: balls.entities };
+  }
+
+  return {
+    SUBPROTOCOL_BINARY,
+    SUBPROTOCOL_JSON,
+    MSG_SNAPSHOT,
+    CLOSE_KICKED,
+    CLOSE_BANNED,
+    NO_ENTITY,
+    PHASES,
+    PLAYER_FIELDS,
+    BALL_FIELDS,
+    quantizePosition,
+    dequantizePosition,
+    encodeSnapshot,
+    decodeSnapshot,
+  };
+});
@@ -0,0 +1,137 @@
+/*
+ * Headless simulation benchmark.
+ *
+ * Fills a room on the classic map with players wandering about and kicking
+ * balls around, steps it through a few seconds of game time and prints how
+ * long a tick takes at each size, against the time a tick has at the
+ * default tick rate. Each size runs twice: with the grid broadphase and
+ * with a linear scan in its place, which checks every pair like the
+ * simulation did before the grid. Both runs play the same game, after a
+ * few unmeasured runs with each so the timings aren't of code still being
+ * compiled.
+ *
+ * Run it with `npm run benchmark`, optionally listing player counts:
+ * `npm run benchmark -- 16 64 256`.
+ */
+
+const path = require('path');
+const { performance } = require('perf_hooks');
+const Maps = require('../lib/maps');
+const Grid = require('../lib/grid');
+const Simulation = require('../lib/simulation');
+
+const PLAYER_COUNTS = [8, 32, 128, 256, 512];
+const BALLS_PER_PLAYER = 0.5;
+const WARMUP_RUNS = 3;
+const WARMUP_TICKS = 60;
+const MEASURED_TICKS = 600;
+const RULES = { scoreTarget: Infinity, timeLimit: 0, minPlayers: 2, countdown: 0, restartDelay: 0 };
+
+const MAPS = Maps.loadMaps(path.join(__dirname, '..', 'maps'), ['left', 'right']);
+
+// Seeded random numbers from the simulation's generator, so every run plays the same game
+function createRandom(seed) {
+  const generator = { rngState: seed >>> 0 };
+  return () => Simulation.random(generator);
+}
+
+// A playing room with `count` players scattered over the field
+function setUp(count, random) {
+  const base = MAPS.get('classic');
+  const def = { ...base, ballCount: Math.max(1, Math.round(count * BALLS_PER_PLAYER)) };
+  let state = Simulation.createState({ def, seed: 1, rules: RULES });
+  const joins = [];
+  for (let i = 0; i < count; i++) {
+    joins.push({ type: 'join', id: `p${i}`, team: def.teams[i % def.teams.length] });
+  }
+  state = Simulation.step(state, joins).state;
+  const { width, height } = state.map.field;
+  for (const player of state.players.values()) {
+    player.x = (random() - 0.5) * width;
+    player.y = (random() - 0.5) * height;
+  }
+  return state;
+}
+
+// Every so often each player picks a new direction, kicks or tackles
+function commandsFor(state, random) {
+  const commands = [];
+  for (const player of state.players.values()) {
+    const roll = random();
+    if (roll < 0.03) {
+      const angle = random() * Math.PI * 2;
+      commands.push({ type: 'input', id: player.id, x: Math.cos(angle), y: Math.sin(angle) });
+    } else if (roll < 0.04) {
+      commands.push({ type: 'kick', id: player.id, x: random() * 2 - 1, y: random() * 2 - 1, charge: random() });
+    } else if (roll < 0.045) {
+      commands.push({ type: 'tackle', id: player.id, x: random() * 2 - 1, y: random() * 2 - 1 });
+    }
+  }
+  return commands;
+}
+
+// Time `count` players, with the simulation's broadphase made by `createBroadphase`
+function benchmark(count, createBroadphase) {
+  const createGrid = Grid.createGrid;
+  Grid.createGrid = createBroadphase;
+  try {
+    return run(count);
+  } finally {
+    Grid.createGrid = createGrid;
+  }
+}
+
+function run(count) {
+  const random = createRandom(count);
+  let state = setUp(count, random);
+  const times = [];
+  for (let t = 0; t < WARMUP_TICKS + MEASURED_TICKS; t++) {
+    const commands = commandsFor(state, random);
+    const start = performance.now();
+    state = Simulation.step(state, commands).state;
+    if (t >= WARMUP_TICKS) times.push(performance.now() - start);
+  }
+  times.sort((a, b) => a - b);
+  const mean = times.reduce((sum, time) => sum + time, 0) / times.length;
+  return {
+    players: count,
+    balls: state.balls.size,
+    mean,
+    p95: times[Math.floor(times.length * 0.95)],
+    max: times[times.length - 1],
+  };
+}
+
+const counts = process.argv.length > 2 ? process.argv.slice(2).map(Number) : PLAYER_COUNTS;
+if (counts.some((count) => !Number.isInteger(count) || count < 1)) {
+  console.error('Player counts must be positive whole numbers');
+  process.exit(1);
+}
+// Unmeasured runs with each, so neither pays for compiling the simulation
+for (let i = 0; i < WARMUP_RUNS; i++) {
+  benchmark(counts[0], Grid.createGrid);
+  benchmark(counts[0], Grid.createLinearScan);
+}
+const budget = 1000 / Simulation.DEFAULT_TICK_RATE;
+console.log(`ms per tick over ${MEASURED_TICKS} ticks; a tick has ${budget.toFixed(2)} ms at ${Simulation.DEFAULT_TICK_RATE} ticks a second`);
+// A title over the four columns of a run, centred in dashes
+const over = (title) => ` ${title} `.padStart(18 + title.length / 2, '-').padEnd(35, '-');
+console.log(`${' '.repeat(15)}${over('grid')} ${over('linear scan')}`);
+console.log('players  balls     mean      p95      max   budget     mean      p95      max   budget  speed-up');
+for (const count of counts) {
+  const grid = benchmark(count, Grid.createGrid);
+  const scan = benchmark(count, Grid.createLinearScan);
+  const columns = (result) => [
+    result.mean.toFixed(3).padStart(8),
+    result.p95.toFixed(3).padStart(8),
+    result.max.toFixed(3).padStart(8),
+    `${((result.mean / budget) * 100).toFixed(1)}%`.padStart(8),
+  ];
+  console.log([
+    String(count).padStart(7),
+    String(grid.balls).padStart(6),
+    ...columns(grid),
+    ...columns(scan),
+    `${(scan.mean / grid.mean).toFixed(1)}x`.padStart(9),
+  ].join(' '));
+}
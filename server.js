@@ -9,6 +9,15 @@
  * receive regular state updates. They send movement commands back to
  * the server. Keeping the logic here ensures fair play and synchronised
  * gameplay.
+ *
+ * A single server can host many matches at once: each named room has its
+ * own players, balls and update loop. Clients list, create and join rooms
+ * over the same WebSocket connection. Every room plays on a map loaded
+ * from maps/*.json (see lib/maps.js), which is also sent to its clients.
+ *
+ * The game rules themselves live in lib/simulation.js. This file turns
+ * client messages into simulation commands, steps each room's simulation
+ * on a timer and sends the results back out.
  */
 
 const path = require('path');
@@ -16,214 +25,648 @@ const http = require('http');
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const WebSocket = require('ws');
+const Protocol = require('./public/protocol');
+const Maps = require('./lib/maps');
+const Simulation = require('./lib/simulation');
+const Replays = require('./lib/replays');
+const Bots = require('./lib/bots');
+const Teams = require('./lib/teams');
+const Messages = require('./lib/messages');
+const Loop = require('./lib/loop');
+const Interest = require('./lib/interest');
+const Visibility = require('./lib/visibility');
+const Admin = require('./lib/admin');
+const Log = require('./lib/log');
+const Metrics = require('./lib/metrics');
 
 // Configuration constants
 const PORT = process.env.PORT || 3000;
-const TICK_RATE = 1000 / 30; // 30 updates per second
-const WORLD_WIDTH = 800; // size of the play area in world units (increased for larger field)
-const WORLD_HEIGHT = 600;  // size of the play area in world units (increased for larger field)
-const PLAYER_SPEED = 3; // units per tick
-const BALL_RADIUS = 3;
-const PLAYER_RADIUS = 5;
-const BALL_COUNT = 5;
-
-// Goals: two scoring zones at opposite ends of the map
-const GOAL_WIDTH = 60;
-const GOAL_DEPTH = 20;
-
-// Teams
-const TEAMS = ['left', 'right'];
-
-// Helper to generate a random coordinate inside the field
-function randInField() {
-  return {
-    x: Math.random() * WORLD_WIDTH - WORLD_WIDTH / 2,
-    y: Math.random() * WORLD_HEIGHT - WORLD_HEIGHT / 2,
-  };
+
+// Logging: one JSON line per entry (or LOG_FORMAT=text), at LOG_LEVEL and above
+const log = Log.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: process.env.LOG_FORMAT || 'json',
+});
+
+// Rooms simulate TICK_RATE ticks a second and send state BROADCAST_RATE
+// times a second. A room whose ticks overrun is logged every OVERRUN_REPORT_INTERVAL.
+const TICK_RATE = Number(process.env.TICK_RATE) || Simulation.DEFAULT_TICK_RATE;
+const BROADCAST_RATE = Math.min(TICK_RATE, Number(process.env.BROADCAST_RATE) || 20);
+const OVERRUN_REPORT_INTERVAL = 60 * 1000; // ms
+
+// Players are sent what is within this distance of them, along with what is
+// always relevant (see lib/interest.js); 0 sends everything their team sees
+const INTEREST_RADIUS = Number(process.env.INTEREST_RADIUS ?? 500);
+
+// Teams for maps that don't list their own (comma-separated in env)
+const DEFAULT_TEAMS = (process.env.TEAMS || 'left,right').split(',').map((team) => team.trim());
+
+// Maps: teams, field, goals, spawns, obstacles and bushes come from maps/*.json
+const MAPS = Maps.loadMaps(path.join(__dirname, 'maps'), DEFAULT_TEAMS);
+const DEFAULT_MAP = process.env.DEFAULT_MAP || 'classic';
+if (!MAPS.has(DEFAULT_MAP)) {
+  throw new Error(`Default map "${DEFAULT_MAP}" not found in maps/`);
 }
 
-// Create a new ball at a random position (we'll later hide them under bushes on client)
-function createBall() {
-  const pos = randInField();
-  return {
-    id: uuidv4(),
-    x: pos.x,
-    y: pos.y,
-    carriedBy: null, // which player id is currently carrying this ball
-  };
+// Rooms
+const MAX_PLAYERS_PER_ROOM = Number(process.env.MAX_PLAYERS) || 8; // people; bots only fill free slots
+const MAX_SPECTATORS_PER_ROOM = Number(process.env.MAX_SPECTATORS ?? 8); // 0 = no spectators
+const MAX_ROOM_NAME_LENGTH = 24;
+
+// Teams may differ in size by at most this many people; bots don't count
+const MAX_TEAM_DIFFERENCE = Number(process.env.MAX_TEAM_DIFFERENCE) || 1;
+
+// Players: display names and the character models they can pick from. A
+// model is drawn `height` units tall, whatever the scale of its file.
+const MAX_NAME_LENGTH = 16;
+const CHARACTERS = {
+  angela: { file: 'angela_running.glb', height: 55 },
+  bear: { file: 'bear.glb', height: 55 },
+  bird: { file: 'bird.glb', height: 40 },
+};
+const DEFAULT_CHARACTER = 'angela';
+
+// Bots fill empty slots so teams stay even; rooms can pick another
+// difficulty or turn them off when created
+const BOT_DIFFICULTY = process.env.BOT_DIFFICULTY || 'normal'; // or 'off'
+if (BOT_DIFFICULTY !== 'off' && !Object.hasOwn(Bots.DIFFICULTIES, BOT_DIFFICULTY)) {
+  throw new Error(`Unknown BOT_DIFFICULTY "${BOT_DIFFICULTY}"`);
 }
 
-// Create a new player object
-function createPlayer(id, team) {
-  // Spawn near your own goal
-  const spawnX = team === 'left' ? -WORLD_WIDTH / 2 + 40 : WORLD_WIDTH / 2 - 40;
-  const spawnY = 0;
-  return {
-    id,
-    team,
-    x: spawnX,
-    y: spawnY,
-    dirX: 0,
-    dirY: 0,
-    score: 0,
-    carryingBallId: null,
+// Dropped connections keep their player for this long so the client can resume
+const RECONNECT_GRACE = (Number(process.env.RECONNECT_GRACE) || 30) * 1000; // seconds in env
+
+// Match rules
+const SCORE_TARGET = Number(process.env.SCORE_TARGET) || 3; // team goals needed to win
+const MATCH_TIME_LIMIT = (Number(process.env.MATCH_TIME_LIMIT) || 0) * 1000; // seconds in env, 0 = no limit
+const MIN_PLAYERS_TO_START = Number(process.env.MIN_PLAYERS_TO_START) || 2;
+const COUNTDOWN_DURATION = 3000; // ms before kick-off
+const RESTART_DELAY = 5000; // ms the result screen stays up before the next match
+const MATCH_RULES = {
+  scoreTarget: SCORE_TARGET,
+  timeLimit: MATCH_TIME_LIMIT,
+  minPlayers: MIN_PLAYERS_TO_START,
+  countdown: COUNTDOWN_DURATION,
+  restartDelay: RESTART_DELAY,
+};
+
+// Replays: every match is recorded and saved here once it finishes
+const REPLAY_DIR = process.env.REPLAY_DIR || path.join(__dirname, 'replays');
+const REPLAY_LIMIT = Number(process.env.REPLAY_LIMIT) || 50; // newest replays kept
+const REPLAY_FRAME_INTERVAL = 1000 / 15; // ms between the frames sent to the replay viewer
+const replays = Replays.createStore(REPLAY_DIR, REPLAY_LIMIT, log);
+
+// Binary protocol: how many sent snapshots to keep as possible delta baselines
+const SNAPSHOT_HISTORY = 32;
+
+// Abuse: client messages over this size close the connection, and each
+// connection may send MESSAGE_RATE a second after a burst of twice that. By
+// default that's an input every tick and an ack every broadcast, plus
+// MESSAGE_RATE_HEADROOM for kicks, tackles and the like.
+// Invalid or rate-limited messages are violations; a connection is flagged
+// after FLAG_AFTER of them in VIOLATION_WINDOW, which takes its burst away,
+// and kicked out of its room after KICK_AFTER.
+const MAX_MESSAGE_SIZE = Number(process.env.MAX_MESSAGE_SIZE) || 4096; // bytes
+const MESSAGE_RATE_HEADROOM = 20; // messages per second
+const MESSAGE_RATE = Number(process.env.MESSAGE_RATE) || TICK_RATE + BROADCAST_RATE + MESSAGE_RATE_HEADROOM;
+const VIOLATION_WINDOW = 60 * 1000; // ms
+const FLAG_AFTER = 5;
+const KICK_AFTER = 20;
+
+// Connections closing with any other code count as dropped in /metrics:
+// normal closure, going away (such as leaving the page) and no code given
+const NORMAL_CLOSE_CODES = [1000, 1001, 1005];
+
+// Admin API (see the routes under /admin/api below): off unless a token is set
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+const bans = Admin.createBanList();
+const connectionAddresses = new WeakMap(); // WebSocket -> address it connected from, for bans
+
+// Rooms: each room is an independent match with its own simulation state
+// (see lib/simulation.js) and the connections of its players
+const rooms = new Map(); // room name -> room object
+const sessions = new Map(); // session token -> { room, id } of the player it resumes
+
+// Metrics served on /metrics; the gauges are read from the rooms when scraped
+const metrics = Metrics.createRegistry();
+const messageRates = { received: Metrics.createRate(), sent: Metrics.createRate() };
+const tickDuration = metrics.summary('goalball_tick_duration_seconds', 'Time taken by room ticks, over recent ticks');
+const tickOverruns = metrics.counter('goalball_tick_overruns_total', 'Ticks that took longer than their interval');
+const messagesReceived = metrics.counter('goalball_messages_received_total', 'WebSocket messages received from clients');
+const messagesSent = metrics.counter('goalball_messages_sent_total', 'WebSocket messages sent to clients');
+const bytesReceived = metrics.counter('goalball_bytes_received_total', 'Bytes of WebSocket messages received');
+const bytesSent = metrics.counter('goalball_bytes_sent_total', 'Bytes of WebSocket messages sent');
+const connectionsDropped = metrics.counter('goalball_connections_dropped_total',
+  'Connections closed other than normally, by close code');
+metrics.gauge('goalball_messages_received_per_second', 'Messages received a second, over the last 10 seconds',
+  () => messageRates.received.perSecond());
+metrics.gauge('goalball_messages_sent_per_second', 'Messages sent a second, over the last 10 seconds',
+  () => messageRates.sent.perSecond());
+metrics.gauge('goalball_connections', 'Open WebSocket connections, in rooms or the lobby', () => wss.clients.size);
+metrics.gauge('goalball_rooms', 'Rooms open', () => rooms.size);
+metrics.gauge('goalball_players', 'People in rooms, by whether they are playing, spectating or reconnecting', () => {
+  const counts = { playing: 0, spectating: 0, reconnecting: 0 };
+  for (const room of rooms.values()) {
+    for (const client of room.clients.values()) {
+      if (client.ws === null) counts.reconnecting += 1;
+      else if (client.team === null) counts.spectating += 1;
+      else counts.playing += 1;
+    }
+  }
+  return Object.entries(counts).map(([state, value]) => ({ labels: { state }, value }));
+});
+metrics.gauge('goalball_bots', 'Bots playing in rooms', () =>
+  Array.from(rooms.values()).reduce((sum, room) => sum + room.bots.size, 0));
+
+/**
+ * Create a new room with a fresh simulation and start its update loop:
+ * a tick every 1 / TICK_RATE seconds and the state sent out every
+ * 1 / BROADCAST_RATE.
+ */
+function createRoom(name, mapName, botDifficulty) {
+  const seed = Math.floor(Math.random() * 0x100000000);
+  const room = {
+    name,
+    seed, // lays out the map and drives all randomness in the simulation
+    state: Simulation.createState({ def: MAPS.get(mapName), seed, rules: MATCH_RULES, tickRate: TICK_RATE }),
+    commands: [], // simulation commands queued for the next tick
+    recording: null, // replay of the current match, from its countdown on
+    clients: new Map(), // player id -> { id, team, name, model, address, ws, net, session, dropTimer }, team null when spectating
+    bots: new Map(), // player id -> bot (see lib/bots.js)
+    botDifficulty, // or 'off' for no bots
+    botCount: 0, // bots added so far, for their names
+    roster: null, // JSON of the last roster sent
+    loop: null, // see lib/loop.js
+    reported: null, // loop metrics at the last overrun report
+    log: log.child({ room: name }),
   };
+  room.loop = Loop.createLoop({
+    tickInterval: 1000 / TICK_RATE,
+    broadcastInterval: 1000 / BROADCAST_RATE,
+    tick: () => update(room),
+    broadcast: () => {
+      updateRoster(room);
+      broadcastState(room);
+    },
+    onTick: (took) => {
+      tickDuration.observe(took / 1000);
+      if (took > 1000 / TICK_RATE) tickOverruns.inc();
+    },
+  });
+  room.reported = room.loop.metrics();
+  room.loop.start();
+  rooms.set(name, room);
+  room.log.info('Room created', { map: mapName, seed, bots: botDifficulty });
+  return room;
 }
 
-// Check if a point is inside a team's goal
-function isInGoal(team, x, y) {
-  if (team === 'left') {
-    // Left goal is on the left edge
-    return x < -WORLD_WIDTH / 2 + GOAL_DEPTH && Math.abs(y) < GOAL_WIDTH / 2;
-  } else {
-    // Right goal is on the right edge
-    return x > WORLD_WIDTH / 2 - GOAL_DEPTH && Math.abs(y) < GOAL_WIDTH / 2;
+/**
+ * Run one simulation tick with the commands queued since the last one and
+ * pass its events on to clients and the log. The state itself is sent
+ * separately, at the broadcast rate.
+ */
+function update(room) {
+  thinkBots(room);
+  const { state, events } = Simulation.step(room.state, room.commands);
+  room.state = state;
+  if (room.recording && Replays.recordTick(room.recording, room.commands)) {
+    // Save what there is rather than keep an endless match in memory
+    replays.save(room.recording);
+    room.recording = null;
+    room.log.info('Replay reached its length limit', { minutes: Replays.MAX_DURATION / 60000 });
+  }
+  room.commands = [];
+  const tackles = [];
+  for (const event of events) {
+    if (event.type === 'phase') {
+      broadcast(room, matchInfo(room));
+      updateRecording(room);
+    } else if (event.type === 'rules') {
+      broadcast(room, { type: 'config', config: clientConfig(room) });
+      broadcast(room, matchInfo(room));
+    } else if (event.type === 'repair') {
+      room.log.warn('Repaired the simulation state', { problem: event.problem });
+    } else {
+      tackles.push(event);
+    }
   }
+  if (tackles.length > 0) sendTackles(room, tackles);
 }
 
-// Calculate squared distance between two points
-function dist2(x1, y1, x2, y2) {
-  const dx = x1 - x2;
-  const dy = y1 - y2;
-  return dx * dx + dy * dy;
+/**
+ * Send tackle events to the clients that can see everyone in them, so
+ * tackling from inside a bush doesn't give away who is hiding there.
+ */
+function sendTackles(room, events) {
+  const teamViews = new Map();
+  for (const client of room.clients.values()) {
+    if (!client.ws || client.ws.readyState !== WebSocket.OPEN) continue;
+    const ids = new Set(clientView(room, client, teamViews).players.map((player) => player.id));
+    for (const event of events) {
+      if (ids.has(event.by) && (event.type === 'tackle' || ids.has(event.target))) {
+        sendTo(client, event);
+      }
+    }
+  }
 }
 
-// Game state
-const players = new Map(); // id -> player object
-const balls = new Map(); // id -> ball object
-let nextTeamIndex = 0; // rotate teams on join
+// Everyone in the room: players with their individual score, and spectators
+function rosterOf(room) {
+  const players = [];
+  for (const player of room.state.players.values()) {
+    players.push({
+      id: player.id,
+      name: player.name,
+      team: player.team,
+      model: player.model,
+      score: player.score,
+      bot: player.bot,
+    });
+  }
+  const spectators = [];
+  for (const client of room.clients.values()) {
+    if (client.team === null) spectators.push({ id: client.id, name: client.name });
+  }
+  return { type: 'roster', players, spectators };
+}
 
-// Initialise balls
-for (let i = 0; i < BALL_COUNT; i++) {
-  const ball = createBall();
-  balls.set(ball.id, ball);
+// Send the roster whenever someone joins, leaves or scores. Unlike state it
+// isn't filtered by visibility: it says who is playing, not where they are.
+function updateRoster(room) {
+  const roster = rosterOf(room);
+  const json = JSON.stringify(roster);
+  if (json !== room.roster) {
+    room.roster = json;
+    broadcast(room, roster);
+  }
 }
 
 /**
- * Main update loop. Moves players based on their input, handles collisions
- * with balls and goals, and broadcasts the state to all clients.
+ * Queue this tick's commands from the room's bots. Each bot decides from
+ * what its team can see.
  */
-function update() {
-  // Move players
-  for (const player of players.values()) {
-    if (player.dirX !== 0 || player.dirY !== 0) {
-      // Normalise direction to prevent faster diagonal movement
-      const mag = Math.sqrt(player.dirX * player.dirX + player.dirY * player.dirY);
-      const nx = player.dirX / mag;
-      const ny = player.dirY / mag;
-      player.x += nx * PLAYER_SPEED;
-      player.y += ny * PLAYER_SPEED;
-
-      // Constrain to world bounds
-      player.x = Math.max(-WORLD_WIDTH / 2 + PLAYER_RADIUS, Math.min(WORLD_WIDTH / 2 - PLAYER_RADIUS, player.x));
-      player.y = Math.max(-WORLD_HEIGHT / 2 + PLAYER_RADIUS, Math.min(WORLD_HEIGHT / 2 - PLAYER_RADIUS, player.y));
+function thinkBots(room) {
+  const views = new Map(); // team -> visible players and balls
+  for (const bot of room.bots.values()) {
+    if (!views.has(bot.team)) {
+      views.set(bot.team, Visibility.visibleTo(room.state, bot.team));
     }
+    room.commands.push(...Bots.think(bot, room.state, views.get(bot.team)));
+  }
+}
 
-    // If carrying a ball, update ball position to follow
-    if (player.carryingBallId) {
-      const ball = balls.get(player.carryingBallId);
-      if (ball) {
-        ball.x = player.x;
-        ball.y = player.y;
-      }
+/**
+ * Add or remove bots so every team has as many players as the team with
+ * the most people, as far as the room has space.
+ */
+function balanceBots(room) {
+  const targets = room.botDifficulty === 'off'
+    ? {}
+    : Bots.botTargets(teamSizes(room), MAX_PLAYERS_PER_ROOM);
+  for (const team of room.state.teams) {
+    const bots = Array.from(room.bots.values()).filter((bot) => bot.team === team);
+    for (let i = bots.length; i < (targets[team] || 0); i++) {
+      const bot = Bots.createBot(uuidv4(), team, room.botDifficulty);
+      room.bots.set(bot.id, bot);
+      room.botCount += 1;
+      const models = Object.keys(CHARACTERS);
+      room.commands.push({
+        type: 'join',
+        id: bot.id,
+        team,
+        name: `Bot ${room.botCount}`,
+        model: models[Math.floor(Math.random() * models.length)],
+        bot: true,
+      });
     }
-
-    // Check for scoring: if player is in their own goal while carrying a ball
-    if (player.carryingBallId && isInGoal(player.team, player.x, player.y)) {
-      // Score!
-      player.score += 1;
-      const scoredBallId = player.carryingBallId;
-      player.carryingBallId = null;
-      const oldBall = balls.get(scoredBallId);
-      if (oldBall) {
-        // Respawn ball somewhere else
-        balls.delete(scoredBallId);
-        const newBall = createBall();
-        balls.set(newBall.id, newBall);
-      }
+    for (const bot of bots.slice(targets[team] || 0)) {
+      room.bots.delete(bot.id);
+      room.commands.push({ type: 'leave', id: bot.id });
     }
   }
+}
 
-  // Collision detection: players pick up nearby balls if not carrying
-  for (const player of players.values()) {
-    if (player.carryingBallId) continue;
-    for (const ball of balls.values()) {
-      if (ball.carriedBy) continue; // already carried
-      const d2 = dist2(player.x, player.y, ball.x, ball.y);
-      const pickupRange = (PLAYER_RADIUS + BALL_RADIUS) ** 2;
-      if (d2 < pickupRange) {
-        // Pick up ball
-        player.carryingBallId = ball.id;
-        ball.carriedBy = player.id;
-        break;
-      }
-    }
+// Number of people on each team; spectators and bots aren't counted
+function teamSizes(room) {
+  const sizes = {};
+  for (const team of room.state.teams) sizes[team] = 0;
+  for (const client of room.clients.values()) {
+    if (client.team !== null) sizes[client.team] += 1;
   }
+  return sizes;
+}
 
-  // Collision detection: players bump into each other and drop balls
-  const playersArray = Array.from(players.values());
-  for (let i = 0; i < playersArray.length; i++) {
-    const p1 = playersArray[i];
-    for (let j = i + 1; j < playersArray.length; j++) {
-      const p2 = playersArray[j];
-      const d2 = dist2(p1.x, p1.y, p2.x, p2.y);
-      const collisionDist2 = (PLAYER_RADIUS * 2) ** 2;
-      if (d2 < collisionDist2) {
-        // If players collide, they bounce slightly apart and drop any carried balls
-        // Simple separation vector
-        const dx = p1.x - p2.x;
-        const dy = p1.y - p2.y;
-        const mag = Math.sqrt(dx * dx + dy * dy) || 0.0001;
-        const overlap = Math.sqrt(collisionDist2 - d2) / 2;
-        const nx = dx / mag;
-        const ny = dy / mag;
-        p1.x += nx * overlap;
-        p1.y += ny * overlap;
-        p2.x -= nx * overlap;
-        p2.y -= ny * overlap;
-
-        // Drop balls
-        if (p1.carryingBallId) {
-          const ball = balls.get(p1.carryingBallId);
-          if (ball) {
-            ball.carriedBy = null;
-          }
-          p1.carryingBallId = null;
-        }
-        if (p2.carryingBallId) {
-          const ball = balls.get(p2.carryingBallId);
-          if (ball) {
-            ball.carriedBy = null;
-          }
-          p2.carryingBallId = null;
-        }
-      }
-    }
+function countPlaying(room) {
+  return Object.values(teamSizes(room)).reduce((sum, size) => sum + size, 0);
+}
+
+function countSpectators(room) {
+  return room.clients.size - countPlaying(room);
+}
+
+/**
+ * Put a client on a team, or make them a spectator with team null, and
+ * tell them. Bots are rebalanced before a newcomer's player is added so it
+ * gets their spawn point.
+ */
+function moveClient(room, client, team) {
+  const from = client.team;
+  client.team = team;
+  balanceBots(room);
+  if (from === null) {
+    room.commands.push({ type: 'join', id: client.id, team, name: client.name, model: client.model });
+  } else if (team === null) {
+    room.commands.push({ type: 'leave', id: client.id });
+  } else {
+    room.commands.push({ type: 'team', id: client.id, team });
+  }
+  sendTo(client, { type: 'team', team });
+}
+
+/**
+ * Handle a client asking to play for a team, or to spectate with team
+ * null. Teams can't be changed while a match is being played, and a
+ * change mustn't leave the teams further apart than MAX_TEAM_DIFFERENCE,
+ * unless it brings them closer. Returns why the change was refused, or
+ * null once it's made.
+ */
+function chooseTeam(room, client, team) {
+  if (team === client.team) return null;
+  if (team !== null && !room.state.teams.includes(team)) {
+    return `There is no team "${team}"`;
+  }
+  if (team === null && MAX_SPECTATORS_PER_ROOM === 0) {
+    return 'Spectating is turned off';
+  }
+  if (room.state.match.phase === 'playing') {
+    return 'Teams can only be changed between matches';
+  }
+  if (team === null && countSpectators(room) >= MAX_SPECTATORS_PER_ROOM) {
+    return 'There is no room for more spectators';
+  }
+  if (client.team === null && countPlaying(room) >= MAX_PLAYERS_PER_ROOM) {
+    return 'All player slots are taken';
+  }
+  if (!Teams.canMove(teamSizes(room), client.team, team, MAX_TEAM_DIFFERENCE)) {
+    return team === null ? 'Your team would be too short of players' : `Team ${team} has too many players`;
+  }
+  moveClient(room, client, team);
+  return null;
+}
+
+/**
+ * Even the teams out after someone leaves: while they are further apart
+ * than MAX_TEAM_DIFFERENCE, the newest arrival on the biggest team, by
+ * preference one not carrying a ball, moves to the smallest.
+ */
+function autoBalance(room) {
+  for (const [from, to] of Teams.balancingMoves(teamSizes(room), MAX_TEAM_DIFFERENCE)) {
+    const candidates = Array.from(room.clients.values()).filter((c) => c.team === from).reverse();
+    const mover = candidates.find((c) => {
+      const player = room.state.players.get(c.id);
+      return !(player && player.carryingBallId);
+    }) || candidates[0];
+    moveClient(room, mover, to);
+    room.log.info('Moved a player to even the teams', { player: mover.id, name: mover.name, team: to });
+  }
+}
+
+/**
+ * Start recording when a match counts down and save the replay when it
+ * finishes. A countdown cut short by players leaving isn't kept.
+ */
+function updateRecording(room) {
+  const { match } = room.state;
+  if (match.phase === 'countdown') {
+    room.recording = Replays.startRecording({ id: uuidv4(), room: room.name, seed: room.seed }, room.state);
+  } else if (match.phase === 'finished' && room.recording) {
+    room.recording.result = { winner: match.winner, scores: { ...room.state.teamScores } };
+    replays.save(room.recording);
+    room.recording = null;
+    room.log.info('Match finished', { winner: match.winner, scores: room.state.teamScores });
+  } else if (match.phase === 'waiting') {
+    room.recording = null;
+  }
+}
+
+/**
+ * Stop a room's update loop and forget about it. A match still being
+ * played is saved as an unfinished replay.
+ */
+function destroyRoom(room) {
+  if (room.recording && room.state.match.phase === 'playing') {
+    replays.save(room.recording);
+  }
+  room.loop.stop();
+  rooms.delete(room.name);
+  room.log.info('Room closed');
+}
+
+/**
+ * Log each room whose update loop fell behind since the last report: ticks
+ * that took longer than their interval, ran late catching up after a stall
+ * or were dropped altogether.
+ */
+function reportOverruns() {
+  for (const room of rooms.values()) {
+    const metrics = room.loop.metrics();
+    const last = room.reported;
+    room.reported = metrics;
+    const ticks = metrics.ticks - last.ticks;
+    const overruns = metrics.overruns - last.overruns;
+    const late = metrics.lateTicks - last.lateTicks;
+    const dropped = metrics.droppedTicks - last.droppedTicks;
+    if (overruns === 0 && late === 0 && dropped === 0) continue;
+    const average = ticks > 0 ? (metrics.tickTime - last.tickTime) / ticks : 0;
+    room.log.warn('Ticks fell behind', {
+      ticks,
+      overruns,
+      late,
+      dropped,
+      averageTickMs: Number(average.toFixed(2)),
+      slowestTickMs: Number(metrics.maxTickTime.toFixed(2)),
+    });
+  }
+}
+
+// Trim and shorten a requested room name; returns null if nothing usable is left
+function normaliseRoomName(name) {
+  if (typeof name !== 'string') return null;
+  const trimmed = name.trim().slice(0, MAX_ROOM_NAME_LENGTH);
+  return trimmed.length > 0 ? trimmed : null;
+}
+
+// Tidy up a display name: no control characters, runs of spaces collapsed,
+// at most MAX_NAME_LENGTH characters. Returns null if nothing usable is left.
+function sanitizeName(name) {
+  if (typeof name !== 'string') return null;
+  const clean = name.normalize('NFC').replace(/\p{C}/gu, '').replace(/\s+/g, ' ').trim();
+  const short = Array.from(clean).slice(0, MAX_NAME_LENGTH).join('').trim();
+  return short.length > 0 ? short : null;
+}
+
+// Pick an unused name for rooms created without one
+function generateRoomName() {
+  let name;
+  do {
+    name = `room-${uuidv4().slice(0, 4)}`;
+  } while (rooms.has(name));
+  return name;
+}
+
+/**
+ * Take a player out of their room for good: drop their ball, forget their
+ * session and close the room if nobody is left. Otherwise people and bots
+ * are moved around to even the teams out again.
+ */
+function removePlayer(room, id) {
+  const client = room.clients.get(id);
+  if (!client) return;
+  clearTimeout(client.dropTimer);
+  sessions.delete(client.session);
+  room.clients.delete(id);
+  room.commands.push({ type: 'leave', id });
+  if (room.clients.size === 0) {
+    destroyRoom(room);
+  } else {
+    autoBalance(room);
+    balanceBots(room);
   }
+}
+
+/**
+ * Keep a player whose connection dropped in the game for RECONNECT_GRACE:
+ * they stand still and let go of their ball, and are removed if they don't
+ * resume in time.
+ */
+function holdPlayer(room, client) {
+  client.ws = null;
+  room.commands.push({ type: 'input', id: client.id, x: 0, y: 0 }, { type: 'drop', id: client.id });
+  client.dropTimer = setTimeout(() => {
+    room.log.info('Player did not reconnect', { player: client.id });
+    removePlayer(room, client.id);
+  }, RECONNECT_GRACE);
+}
 
-  // Broadcast state
-  broadcastState();
+// Summary of rooms that still have free slots for players or spectators,
+// used by the lobby and /rooms. Bots give up their place when someone joins.
+function listOpenRooms() {
+  const list = [];
+  for (const room of rooms.values()) {
+    const players = countPlaying(room);
+    const spectators = room.clients.size - players;
+    if (players >= MAX_PLAYERS_PER_ROOM && spectators >= MAX_SPECTATORS_PER_ROOM) continue;
+    list.push({
+      name: room.name,
+      map: room.state.map.name,
+      teams: room.state.teams,
+      players,
+      bots: room.bots.size,
+      spectators,
+      maxPlayers: MAX_PLAYERS_PER_ROOM,
+    });
+  }
+  return list;
+}
+
+// Public view of the match phase, sent on every phase change and to new players
+function matchInfo(room) {
+  const { match } = room.state;
+  return {
+    type: 'phase',
+    phase: match.phase,
+    remaining: Simulation.phaseRemaining(room.state),
+    winner: match.winner,
+    scores: room.state.teamScores,
+    scoreTarget: room.state.rules.scoreTarget,
+    timeLimit: MATCH_TIME_LIMIT,
+  };
+}
+
+// Movement constants sent to clients so they can predict their own player
+function clientConfig(room) {
+  return {
+    tickInterval: Simulation.tickInterval(room.state), // ms
+    broadcastInterval: 1000 / BROADCAST_RATE, // ms between state updates
+    playerSpeed: room.state.rules.playerSpeed, // units per second
+    playerRadius: Simulation.PLAYER_RADIUS,
+    tackleSpeed: Simulation.TACKLE_SPEED, // units per second
+    tackleDuration: Simulation.TACKLE_DURATION, // ms
+  };
 }
 
 /**
- * Send the current game state to all connected clients.
+ * The players and balls a client is sent: what its team can see, narrowed
+ * down to what is relevant to its player. Teammates share what they can
+ * see, so `teamViews` (team -> view) keeps each team's view for the tick.
  */
-function broadcastState() {
+function clientView(room, client, teamViews) {
+  let teamView = teamViews.get(client.team);
+  if (!teamView) {
+    teamView = Visibility.visibleTo(room.state, client.team);
+    teamViews.set(client.team, teamView);
+  }
+  if (client.team === null) return teamView;
+  const { knownEntities } = client.net;
+  return Interest.relevantTo(room.state, teamView, {
+    id: client.id,
+    team: client.team,
+    radius: INTEREST_RADIUS,
+    known: (entity) => knownEntities.has(entity.eid) && knownEntities.get(entity.eid).id === entity.id,
+  });
+}
+
+/**
+ * Send the current game state to all clients in a room. Each client only
+ * receives what its team can see, so hidden entities never leave the
+ * server, and of that only what is relevant to its player. Spectators get
+ * the whole field.
+ */
+function broadcastState(room) {
+  // Views shared by several clients, such as the spectators', are encoded once
+  const teamViews = new Map(); // team -> { players, balls, json, snapshot }
+  for (const client of room.clients.values()) {
+    if (!client.ws || client.ws.readyState !== WebSocket.OPEN) continue;
+    const view = clientView(room, client, teamViews);
+    syncEntities(client, view);
+    if (client.net.binary) {
+      view.snapshot = view.snapshot || buildSnapshot(room.state, view);
+      sendSnapshot(client, view);
+    } else {
+      view.json = view.json || JSON.stringify(buildStatePayload(room.state, view));
+      sendRaw(client.ws, view.json);
+    }
+  }
+}
+
+/**
+ * JSON state message for the players and balls in a view.
+ */
+function buildStatePayload(state, view) {
   const payload = {
     type: 'state',
+    t: Date.now(), // server time of this snapshot, used by clients to interpolate
+    tick: state.tick,
     players: [],
     balls: [],
+    scores: state.teamScores,
+    phase: state.match.phase,
+    remaining: Simulation.phaseRemaining(state),
   };
-  for (const player of players.values()) {
+  for (const player of view.players) {
     payload.players.push({
       id: player.id,
       team: player.team,
+      name: player.name,
+      model: player.model,
       x: player.x,
       y: player.y,
       score: player.score,
+      seq: player.lastInputSeq,
+      seqTicks: player.seqTicks,
     });
   }
-  for (const ball of balls.values()) {
+  for (const ball of view.balls) {
     payload.balls.push({
       id: ball.id,
       x: ball.x,
@@ -231,60 +674,672 @@ function broadcastState() {
       carriedBy: ball.carriedBy,
     });
   }
+  return payload;
+}
+
+/**
+ * Quantise the players and balls in a view into the integer fields of the
+ * binary protocol.
+ */
+function buildSnapshot(state, view) {
+  const remaining = Simulation.phaseRemaining(state);
+  const snapshot = {
+    t: Date.now(),
+    tick: state.tick,
+    phase: Protocol.PHASES.indexOf(state.match.phase),
+    remaining: remaining === null ? -1 : remaining,
+    scores: state.teams.map((team) => state.teamScores[team]),
+    players: new Map(),
+    balls: new Map(),
+  };
+  for (const player of view.players) {
+    snapshot.players.set(player.eid, {
+      x: Protocol.quantizePosition(player.x),
+      y: Protocol.quantizePosition(player.y),
+      score: player.score,
+      seq: player.lastInputSeq,
+      seqTicks: Math.min(player.seqTicks, 0xffff),
+    });
+  }
+  for (const ball of view.balls) {
+    const carrier = ball.carriedBy && state.players.get(ball.carriedBy);
+    snapshot.balls.set(ball.eid, {
+      x: Protocol.quantizePosition(ball.x),
+      y: Protocol.quantizePosition(ball.y),
+      carrier: carrier ? carrier.eid : Protocol.NO_ENTITY,
+    });
+  }
+  return snapshot;
+}
+
+// Whether an entity the client was told about is still described the same:
+// same full id, and for players the same team, name and model
+function sameEntity(known, entity) {
+  return Boolean(known) && known.id === entity.id && known.team === entity.team &&
+    known.name === entity.name && known.model === entity.model;
+}
+
+/**
+ * Tell a client which entities came into its view and which left it, in a
+ * JSON 'entities' message, before it gets a state with them. Spawned ones
+ * map their short id to the full id, which binary snapshots rely on. A
+ * player who changed team is spawned again with the new one.
+ */
+function syncEntities(client, view) {
+  const { ws, net } = client;
+  const spawn = [];
+  const despawn = [];
+  const current = new Map();
+  for (const p of view.players) {
+    current.set(p.eid, { eid: p.eid, kind: 'player', id: p.id, team: p.team, name: p.name, model: p.model });
+  }
+  for (const b of view.balls) current.set(b.eid, { eid: b.eid, kind: 'ball', id: b.id });
+  for (const [eid, entity] of current) {
+    if (!sameEntity(net.knownEntities.get(eid), entity)) {
+      net.knownEntities.set(eid, entity);
+      spawn.push(entity);
+    }
+  }
+  for (const eid of net.knownEntities.keys()) {
+    if (!current.has(eid)) {
+      net.knownEntities.delete(eid);
+      despawn.push(eid);
+    }
+  }
+  if (spawn.length > 0 || despawn.length > 0) {
+    sendRaw(ws, JSON.stringify({ type: 'entities', spawn, despawn }));
+  }
+}
+
+/**
+ * Send a binary snapshot to one client as a delta against the last snapshot
+ * it acknowledged.
+ */
+function sendSnapshot(client, view) {
+  const { ws, net } = client;
+  const { snapshot } = view;
+  net.snapshotSeq += 1;
+  const sent = { ...snapshot, seq: net.snapshotSeq };
+  const baseline = net.snapshots.get(net.ackedSeq) || null;
+  sendRaw(ws, Protocol.encodeSnapshot(sent, baseline));
+  net.snapshots.set(sent.seq, sent);
+  net.snapshots.delete(sent.seq - SNAPSHOT_HISTORY);
+}
+
+// Per-connection protocol state, reset whenever the connection changes room
+function createNetState(ws) {
+  return {
+    binary: ws.protocol === Protocol.SUBPROTOCOL_BINARY,
+    snapshotSeq: 0, // last snapshot sent
+    ackedSeq: 0, // last snapshot the client confirmed, 0 = none
+    snapshots: new Map(), // seq -> sent snapshot, candidates for delta baselines
+    knownEntities: new Map(), // short id -> entity as the client was last told about it
+  };
+}
+
+// Send an encoded message (a JSON string or binary snapshot) on a socket,
+// counting it for /metrics. Every message to clients goes through here.
+function sendRaw(ws, data) {
+  ws.send(data);
+  messagesSent.inc();
+  messageRates.sent.mark();
+  bytesSent.inc({}, typeof data === 'string' ? Buffer.byteLength(data) : data.byteLength);
+}
+
+/**
+ * Send a message to every client in a room.
+ */
+function broadcast(room, payload) {
   const msg = JSON.stringify(payload);
-  for (const { ws } of players.values()) {
-    if (ws.readyState === WebSocket.OPEN) {
-      ws.send(msg);
+  for (const { ws } of room.clients.values()) {
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      sendRaw(ws, msg);
     }
   }
 }
 
+// Send a message to one client, if they are connected
+function sendTo(client, payload) {
+  if (client.ws && client.ws.readyState === WebSocket.OPEN) {
+    sendRaw(client.ws, JSON.stringify(payload));
+  }
+}
+
 // Setup Express HTTP server
 const app = express();
 app.use(express.static(path.join(__dirname, 'public')));
+
+// For load balancers and orchestrators: answers as long as the server is up
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptime: Math.round(process.uptime()), rooms: rooms.size, connections: wss.clients.size });
+});
+
+// Metrics for Prometheus to scrape
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// List open rooms with their player counts
+app.get('/rooms', (req, res) => {
+  res.json({ rooms: listOpenRooms() });
+});
+
+// List the maps rooms can be created on
+app.get('/maps', (req, res) => {
+  res.json({ maps: Array.from(MAPS.keys()), default: DEFAULT_MAP });
+});
+
+// Character models players can pick from
+app.get('/characters', (req, res) => {
+  res.json({ characters: CHARACTERS, default: DEFAULT_CHARACTER });
+});
+
+// Saved match replays, newest first
+app.get('/replays', (req, res) => {
+  res.json({ replays: replays.list() });
+});
+
+// A replay as recorded: initial state, seed and the commands of every tick
+app.get('/replays/:id', (req, res) => {
+  const file = replays.file(req.params.id);
+  if (!file) {
+    res.status(404).json({ error: 'Replay not found' });
+    return;
+  }
+  res.sendFile(file);
+});
+
+// A replay played back into frames for the viewer in client.js, rendered
+// off the main thread and cached (see frames in lib/replays.js)
+app.get('/replays/:id/frames', async (req, res) => {
+  const json = await replays.frames(req.params.id, REPLAY_FRAME_INTERVAL);
+  if (json === null) {
+    res.status(404).json({ error: 'Replay not found' });
+    return;
+  }
+  res.type('json').send(json);
+});
+
+/**
+ * Take a person out of their room for good and close their connection
+ * with `code` and `reason`, which the client shows them.
+ */
+function kickClient(room, client, code, reason) {
+  const { ws } = client;
+  removePlayer(room, client.id);
+  if (ws) ws.close(code, closeReason(reason));
+}
+
+// A close reason may be at most 123 bytes of UTF-8
+function closeReason(text) {
+  let chars = Array.from(text);
+  while (Buffer.byteLength(chars.join('')) > 123) chars = chars.slice(0, -1);
+  return chars.join('');
+}
+
+// The room and client of a person in any room, or null
+function findClient(id) {
+  for (const room of rooms.values()) {
+    const client = room.clients.get(id);
+    if (client) return { room, client };
+  }
+  return null;
+}
+
+// Everything about a room an admin can see and change
+function adminRoomInfo(room) {
+  const { rules, match } = room.state;
+  return {
+    name: room.name,
+    map: room.state.map.name,
+    phase: match.phase,
+    scores: room.state.teamScores,
+    players: countPlaying(room),
+    bots: room.bots.size,
+    spectators: countSpectators(room),
+    config: { scoreTarget: rules.scoreTarget, ballCount: rules.ballCount, playerSpeed: rules.playerSpeed },
+    loop: room.loop.metrics(),
+  };
+}
+
+// Admin API: every request needs `Authorization: Bearer <ADMIN_TOKEN>`.
+// public/admin.html is a page that uses it.
+const admin = express.Router();
+admin.use((req, res, next) => {
+  if (!ADMIN_TOKEN) {
+    res.status(404).json({ error: 'The admin API is turned off; set ADMIN_TOKEN to use it' });
+  } else if (!Admin.tokenMatches(ADMIN_TOKEN, req.get('authorization'))) {
+    log.warn('Admin request with a wrong token', {
+      address: req.socket.remoteAddress,
+      method: req.method,
+      url: req.originalUrl,
+    });
+    res.status(401).json({ error: 'Wrong or missing admin token' });
+  } else {
+    next();
+  }
+});
+admin.use(express.json({ limit: '4kb' }));
+
+// Check a request body, answering 400 if it's wrong; returns whether it's fine
+function checkBody(kind, req, res) {
+  const problem = Admin.validateBody(kind, req.body || {});
+  if (problem) res.status(400).json({ error: problem });
+  return !problem;
+}
+
+// Look up the room a request names, answering 404 if there is none
+function requestedRoom(req, res) {
+  const room = rooms.get(req.params.name);
+  if (!room) res.status(404).json({ error: `Room "${req.params.name}" not found` });
+  return room;
+}
+
+// Look up the person a request names, answering 404 if there is none
+function requestedClient(req, res) {
+  const found = findClient(req.params.id);
+  if (!found) res.status(404).json({ error: `Player ${req.params.id} not found` });
+  return found;
+}
+
+admin.get('/rooms', (req, res) => {
+  res.json({ rooms: Array.from(rooms.values(), adminRoomInfo) });
+});
+
+// People in rooms, playing or spectating; bots are left out
+admin.get('/players', (req, res) => {
+  const players = [];
+  for (const room of rooms.values()) {
+    for (const client of room.clients.values()) {
+      const player = room.state.players.get(client.id);
+      players.push({
+        id: client.id,
+        name: client.name,
+        room: room.name,
+        team: client.team,
+        score: player ? player.score : null,
+        address: client.address,
+        connected: client.ws !== null,
+      });
+    }
+  }
+  res.json({ players });
+});
+
+admin.post('/players/:id/kick', (req, res) => {
+  const found = requestedClient(req, res);
+  if (!found || !checkBody('kick', req, res)) return;
+  const { room, client } = found;
+  kickClient(room, client, Protocol.CLOSE_KICKED, req.body.reason || 'Kicked by an admin');
+  room.log.info('Admin kicked a player', { player: client.id, name: client.name });
+  res.json({ kicked: client.id });
+});
+
+// Ban the address a person connects from and close every connection from
+// it: people in rooms are kicked, and anyone in the lobby is let go
+admin.post('/players/:id/ban', (req, res) => {
+  const found = requestedClient(req, res);
+  if (!found || !checkBody('ban', req, res)) return;
+  const { address, name } = found.client;
+  const ban = bans.add(address, req.body.reason || 'Banned by an admin', req.body.minutes);
+  for (const room of Array.from(rooms.values())) {
+    for (const client of Array.from(room.clients.values())) {
+      if (client.address === address) kickClient(room, client, Protocol.CLOSE_BANNED, ban.reason);
+    }
+  }
+  for (const ws of wss.clients) {
+    if (connectionAddresses.get(ws) === address && ws.readyState === WebSocket.OPEN) {
+      ws.close(Protocol.CLOSE_BANNED, closeReason(ban.reason));
+    }
+  }
+  log.info('Admin banned an address', { address, name, minutes: req.body.minutes ?? null });
+  res.json({ ban });
+});
+
+admin.get('/bans', (req, res) => {
+  res.json({ bans: bans.list() });
+});
+
+admin.delete('/bans/:address', (req, res) => {
+  if (!bans.lift(req.params.address)) {
+    res.status(404).json({ error: `${req.params.address} is not banned` });
+    return;
+  }
+  log.info('Admin lifted a ban', { address: req.params.address });
+  res.json({ lifted: req.params.address });
+});
+
+// Scores and rule changes go through the simulation, so replays keep them
+admin.post('/rooms/:name/reset-scores', (req, res) => {
+  const room = requestedRoom(req, res);
+  if (!room) return;
+  room.commands.push({ type: 'resetScores' });
+  room.log.info('Admin reset the scores');
+  res.json({ room: room.name });
+});
+
+admin.patch('/rooms/:name/config', (req, res) => {
+  const room = requestedRoom(req, res);
+  if (!room || !checkBody('config', req, res)) return;
+  room.commands.push({ type: 'rules', ...req.body });
+  room.log.info('Admin changed the config', { config: req.body });
+  res.json({ config: { ...adminRoomInfo(room).config, ...req.body } });
+});
+
+// Show a message to everyone on the server, or everyone in one room
+admin.post('/broadcast', (req, res) => {
+  if (!checkBody('broadcast', req, res)) return;
+  const { message, room: name } = req.body;
+  const room = name === undefined ? null : rooms.get(name);
+  if (name !== undefined && !room) {
+    res.status(404).json({ error: `Room "${name}" not found` });
+    return;
+  }
+  const payload = JSON.stringify({ type: 'announcement', message });
+  let sent = 0;
+  const sockets = room ? Array.from(room.clients.values(), (client) => client.ws) : wss.clients;
+  for (const ws of sockets) {
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      sendRaw(ws, payload);
+      sent += 1;
+    }
+  }
+  log.info('Admin announcement', { room: room ? room.name : null, message, sent });
+  res.json({ sent });
+});
+
+// Malformed JSON and the like, answered as JSON like every other admin error
+admin.use((err, req, res, next) => {
+  res.status(err.status || 500).json({ error: err.expose ? err.message : 'Internal error' });
+});
+
+app.use('/admin/api', admin);
+
 const httpServer = http.createServer(app);
-const wss = new WebSocket.Server({ server: httpServer });
+// Clients offer the binary protocol and JSON as a fallback; JSON can be
+// forced from the client for debugging. Clients that offer no subprotocol
+// get JSON.
+const wss = new WebSocket.Server({
+  server: httpServer,
+  maxPayload: MAX_MESSAGE_SIZE,
+  handleProtocols(protocols) {
+    if (protocols.has(Protocol.SUBPROTOCOL_BINARY)) return Protocol.SUBPROTOCOL_BINARY;
+    if (protocols.has(Protocol.SUBPROTOCOL_JSON)) return Protocol.SUBPROTOCOL_JSON;
+    return false;
+  },
+});
+
+// Handle new connections. A connection starts in the lobby and only gets a
+// player once it creates or joins a room.
+wss.on('connection', (ws, req) => {
+  const address = req.socket.remoteAddress;
+  const ban = bans.find(address);
+  if (ban) {
+    log.debug('Refused a connection from a banned address', { address });
+    ws.close(Protocol.CLOSE_BANNED, closeReason(ban.reason));
+    return;
+  }
+  connectionAddresses.set(ws, address);
+  let id = uuidv4();
+  let room = null;
+  let limiter = Messages.createRateLimiter(MESSAGE_RATE, MESSAGE_RATE * 2);
+  let rateLimited = false; // dropping messages since the last one let through
+  const violations = []; // times of recent violations, oldest first
+  let flagged = false;
+  let kicked = false;
+  log.debug('Connection opened', { connection: id, address, protocol: ws.protocol });
+
+  /**
+   * Log something this connection shouldn't have sent, as one JSON line,
+   * and flag or kick the connection once it has done so too often. A
+   * flagged connection may no longer send bursts; a kicked one loses its
+   * player and session, so it can't simply resume. Quiet violations are
+   * only logged when they flag or kick.
+   */
+  function violation(kind, detail, quiet = false) {
+    const now = Date.now();
+    violations.push(now);
+    while (violations[0] <= now - VIOLATION_WINDOW) violations.shift();
+    let action = null;
+    if (violations.length >= KICK_AFTER) {
+      action = 'kicked';
+      kicked = true;
+    } else if (!flagged && violations.length >= FLAG_AFTER) {
+      action = 'flagged';
+      flagged = true;
+      limiter = Messages.createRateLimiter(MESSAGE_RATE, MESSAGE_RATE);
+    }
+    if (quiet && !action) return;
+    log.warn('Client message refused', {
+      event: 'violation',
+      kind,
+      detail,
+      connection: id,
+      address,
+      room: room ? room.name : null,
+      recent: violations.length,
+      flagged,
+      action,
+    });
+    if (action === 'kicked') {
+      leaveRoom();
+      ws.close(Protocol.CLOSE_KICKED, 'Too many invalid messages');
+    }
+  }
+
+  function send(msg) {
+    if (ws.readyState === WebSocket.OPEN) {
+      sendRaw(ws, JSON.stringify(msg));
+    }
+  }
 
-// Handle new connections
-wss.on('connection', (ws) => {
-  // Assign team in round robin fashion
-  const team = TEAMS[nextTeamIndex % TEAMS.length];
-  nextTeamIndex += 1;
-  const id = uuidv4();
-  const player = createPlayer(id, team);
-  players.set(id, { ws, ...player });
+  function leaveRoom() {
+    if (!room) return;
+    removePlayer(room, id);
+    room = null;
+  }
 
-  // Send initial message with id and team
-  ws.send(JSON.stringify({ type: 'init', id, team }));
+  /**
+   * Join a room as a new player on the smallest team, or as a spectator
+   * once every player slot is taken or when asked to with `spectate`.
+   * `profile` is the { name, model } the client asked for; a missing or
+   * unusable name gets a placeholder.
+   */
+  function joinRoom(target, profile, spectate = false) {
+    const canPlay = !spectate && countPlaying(target) < MAX_PLAYERS_PER_ROOM;
+    if (!canPlay && countSpectators(target) >= MAX_SPECTATORS_PER_ROOM) {
+      const message = !spectate ? `Room "${target.name}" is full`
+        : MAX_SPECTATORS_PER_ROOM === 0 ? 'Spectating is turned off'
+          : `There is no room for more spectators in "${target.name}"`;
+      send({ type: 'error', message });
+      return;
+    }
+    leaveRoom();
+    room = target;
+    // New players go to the team with the fewest people
+    const team = canPlay ? Teams.smallest(teamSizes(room)) : null;
+    // The session token lets the client take this player back after a dropped connection
+    const session = uuidv4();
+    sessions.set(session, { room, id });
+    const name = sanitizeName(profile.name) || `Guest ${id.slice(0, 4)}`;
+    const model = Object.hasOwn(CHARACTERS, profile.model) ? profile.model : DEFAULT_CHARACTER;
+    const client = { id, team, name, model, address, ws, net: createNetState(ws), session, dropTimer: null };
+    room.clients.set(id, client);
+    if (team !== null) {
+      // Bots make way first, so the newcomer gets their spawn point
+      balanceBots(room);
+      room.commands.push({ type: 'join', id, team, name, model });
+    }
+    sendInit(client);
+  }
+
+  // Take over a player whose connection dropped, using the token from their init
+  function resumeSession(token) {
+    const entry = typeof token === 'string' && sessions.get(token);
+    const client = entry && entry.room.clients.get(entry.id);
+    if (!client) {
+      send({ type: 'resumeFailed' });
+      return;
+    }
+    if (client.ws === ws) return;
+    leaveRoom();
+    if (client.ws) {
+      // The old connection hasn't noticed it's gone yet; this one replaces it
+      client.ws.close();
+    }
+    clearTimeout(client.dropTimer);
+    client.dropTimer = null;
+    client.ws = ws;
+    client.address = address;
+    client.net = createNetState(ws);
+    room = entry.room;
+    id = entry.id;
+    room.log.info('Player resumed', { player: id });
+    sendInit(client);
+  }
+
+  // Send initial message with id, team (null for spectators), name, room,
+  // map, session token and movement constants, then the current match
+  // phase and roster.
+  function sendInit(client) {
+    send({
+      type: 'init',
+      id,
+      team: client.team,
+      name: client.name,
+      model: client.model,
+      session: client.session,
+      room: room.name,
+      teams: room.state.teams,
+      map: room.state.map,
+      protocol: ws.protocol === Protocol.SUBPROTOCOL_BINARY ? 'binary' : 'json',
+      config: clientConfig(room),
+    });
+    send(matchInfo(room));
+    send(rosterOf(room));
+  }
 
-  ws.on('message', (data) => {
+  // Parse and check a message, or record the violation and return null
+  function readMessage(data, isBinary) {
+    if (kicked) return null;
+    if (!limiter.take()) {
+      // Each dropped message counts, but only the first of a run is logged
+      violation('rate', `more than ${MESSAGE_RATE} messages a second`, rateLimited);
+      rateLimited = true;
+      return null;
+    }
+    rateLimited = false;
+    if (isBinary) {
+      violation('binary', `${data.length} byte binary message`);
+      return null;
+    }
+    let msg;
+    try {
+      msg = JSON.parse(data);
+    } catch (err) {
+      violation('json', err.message);
+      return null;
+    }
+    const problem = Messages.validate(msg);
+    if (problem) {
+      violation('schema', problem);
+      send({ type: 'error', message: `Invalid message: ${problem}` });
+      return null;
+    }
+    return msg;
+  }
+
+  ws.on('message', (data, isBinary) => {
+    messagesReceived.inc();
+    messageRates.received.mark();
+    bytesReceived.inc({}, data.length);
+    const msg = readMessage(data, isBinary);
+    if (!msg) return;
     try {
-      const msg = JSON.parse(data);
       if (msg.type === 'input') {
-        const player = players.get(id);
-        if (player) {
-          // Input is a direction vector; clamp values to [-1,1]
-          let { x, y } = msg;
-          x = Math.max(-1, Math.min(1, x));
-          y = Math.max(-1, Math.min(1, y));
-          player.dirX = x;
-          player.dirY = y;
+        // Direction vector, applied on the next tick
+        if (room) {
+          room.commands.push({ type: 'input', id, x: msg.x, y: msg.y, seq: msg.seq });
+        }
+      } else if (msg.type === 'kick') {
+        // Kick the carried ball: direction vector plus charge in [0, 1]
+        if (room) {
+          room.commands.push({ type: 'kick', id, x: msg.x, y: msg.y, charge: msg.charge });
         }
+      } else if (msg.type === 'tackle') {
+        // Dash in a direction vector, stealing the ball on contact
+        if (room) {
+          room.commands.push({ type: 'tackle', id, x: msg.x, y: msg.y });
+        }
+      } else if (msg.type === 'chooseTeam') {
+        // Play for another team, or spectate with team null
+        const client = room && room.clients.get(id);
+        if (client) {
+          const error = chooseTeam(room, client, msg.team);
+          if (error) send({ type: 'error', message: error });
+        }
+      } else if (msg.type === 'ack') {
+        // Binary clients confirm snapshots so later ones can be sent as deltas
+        const client = room && room.clients.get(id);
+        if (client && (msg.seq === 0 || client.net.snapshots.has(msg.seq))) {
+          client.net.ackedSeq = msg.seq;
+        }
+      } else if (msg.type === 'listRooms') {
+        send({ type: 'rooms', rooms: listOpenRooms() });
+      } else if (msg.type === 'createRoom') {
+        const name = msg.room === undefined ? generateRoomName() : normaliseRoomName(msg.room);
+        const mapName = msg.map === undefined ? DEFAULT_MAP : msg.map;
+        const bots = msg.bots === undefined ? BOT_DIFFICULTY : msg.bots;
+        if (!name) {
+          send({ type: 'error', message: 'Invalid room name' });
+        } else if (rooms.has(name)) {
+          send({ type: 'error', message: `Room "${name}" already exists` });
+        } else if (!MAPS.has(mapName)) {
+          send({ type: 'error', message: `Map "${mapName}" not found` });
+        } else if (bots !== 'off' && !Object.hasOwn(Bots.DIFFICULTIES, bots)) {
+          send({ type: 'error', message: `Unknown bot difficulty "${bots}"` });
+        } else {
+          joinRoom(createRoom(name, mapName, bots), msg);
+        }
+      } else if (msg.type === 'joinRoom') {
+        const name = normaliseRoomName(msg.room);
+        const target = name && rooms.get(name);
+        if (!target) {
+          send({ type: 'error', message: `Room "${name}" not found` });
+        } else if (target !== room) {
+          joinRoom(target, msg, msg.spectate === true);
+        }
+      } else if (msg.type === 'resume') {
+        resumeSession(msg.token);
+      } else if (msg.type === 'leaveRoom') {
+        leaveRoom();
       }
     } catch (err) {
-      console.error('Invalid message', err);
+      log.error('Error handling message', { type: msg.type, connection: id, error: err });
     }
   });
 
-  ws.on('close', () => {
-    players.delete(id);
+  // Protocol errors, such as a message over MAX_MESSAGE_SIZE; ws closes the connection
+  ws.on('error', (err) => {
+    violation('protocol', err.code || err.message);
+  });
+
+  ws.on('close', (code) => {
+    log.debug('Connection closed', { connection: id, code });
+    if (!NORMAL_CLOSE_CODES.includes(code)) connectionsDropped.inc({ code });
+    const client = room && room.clients.get(id);
+    // A connection another one has already resumed from no longer owns the player
+    if (client && client.ws === ws) {
+      holdPlayer(room, client);
+    }
+    room = null;
   });
 });
 
-// Start game loop
-setInterval(update, TICK_RATE);
+setInterval(reportOverruns, OVERRUN_REPORT_INTERVAL);
 
 // Start listening
 httpServer.listen(PORT, () => {
-  console.log(`Goal Ball server listening on port ${PORT}`);
-});
\ No newline at end of file
+  log.info('Goal Ball server listening', { port: Number(PORT) });
+  if (ADMIN_TOKEN) log.info('Admin API enabled; the admin page is at /admin.html');
+});
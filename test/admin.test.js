@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Admin = require('../lib/admin');
+
+test('only the right bearer token is accepted', () => {
+  assert.strictEqual(Admin.tokenMatches('s3cret', 'Bearer s3cret'), true);
+  assert.strictEqual(Admin.tokenMatches('s3cret', 'Bearer s3cre'), false);
+  assert.strictEqual(Admin.tokenMatches('s3cret', 's3cret'), false);
+  assert.strictEqual(Admin.tokenMatches('s3cret', undefined), false);
+});
+
+test('request bodies are checked against their schema', () => {
+  assert.strictEqual(Admin.validateBody('config', { scoreTarget: 5, playerSpeed: 120 }), null);
+  assert.strictEqual(Admin.validateBody('config', { ballCount: 0 }), 'config.ballCount must be a whole number from 1 to 50');
+  assert.strictEqual(Admin.validateBody('broadcast', { message: 'Restarting soon', colour: 'red' }), 'broadcast: unexpected field "colour"');
+  assert.strictEqual(Admin.validateBody('broadcast', {}), 'broadcast.message is missing');
+  assert.strictEqual(Admin.validateBody('kick', []), 'body must be a JSON object');
+});
+
+test('bans last until they run out or are lifted', () => {
+  let time = 0;
+  const bans = Admin.createBanList(() => time);
+  bans.add('10.0.0.1', 'spam', 5);
+  bans.add('10.0.0.2', 'cheating');
+  assert.strictEqual(bans.find('10.0.0.1').reason, 'spam');
+  time = 5 * 60 * 1000;
+  assert.strictEqual(bans.find('10.0.0.1'), null);
+  assert.deepStrictEqual(bans.list(), [{ address: '10.0.0.2', reason: 'cheating', until: null }]);
+  assert.strictEqual(bans.lift('10.0.0.2'), true);
+  assert.deepStrictEqual(bans.list(), []);
+});
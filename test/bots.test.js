@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Simulation = require('../lib/simulation');
+const Bots = require('../lib/bots');
+const { testMap, withPlayers, everything } = require('./helpers');
+
+// The test map with an obstacle between the left spawn and the middle
+const DEF = testMap({ obstacles: [{ x: -30, y: 0, w: 10, h: 30 }] });
+
+const RULES = {
+  scoreTarget: 3,
+  timeLimit: 0,
+  minPlayers: 2,
+  countdown: 0,
+  restartDelay: 1000, // ms
+};
+
+// Nothing hides in bushes on the test map, so a bot's view is the whole state
+const viewOf = everything;
+
+// Step the simulation with the given bots playing, returning the final state
+function play(state, bots, ticks) {
+  for (let i = 0; i < ticks; i++) {
+    const commands = [];
+    for (const bot of bots) {
+      commands.push(...Bots.think(bot, state, viewOf(state), () => 0.5));
+    }
+    state = Simulation.step(state, commands).state;
+  }
+  return state;
+}
+
+function setUp(joins) {
+  return withPlayers(DEF, RULES, joins);
+}
+
+test('a bot heads for the nearest free ball', () => {
+  const state = setUp([['a', 'left']]);
+  const ball = Array.from(state.balls.values())[0];
+  ball.x = -60;
+  ball.y = 40;
+  const bot = Bots.createBot('a', 'left', 'hard');
+  const [input] = Bots.think(bot, state, viewOf(state), () => 0.5);
+  assert.deepStrictEqual(input, { type: 'input', id: 'a', x: 0, y: 1 });
+});
+
+test('a bot repeats no input and waits for its next decision', () => {
+  const state = setUp([['a', 'left']]);
+  const bot = Bots.createBot('a', 'left', 'easy');
+  assert.strictEqual(Bots.think(bot, state, viewOf(state), () => 0.5).length, 1);
+  assert.deepStrictEqual(Bots.think(bot, state, viewOf(state), () => 0.5), []);
+  state.tick += Simulation.msToTicks(state, Bots.DIFFICULTIES.easy.reaction);
+  assert.deepStrictEqual(Bots.think(bot, state, viewOf(state), () => 0.5), []);
+});
+
+test('a bot finds its way around an obstacle to a ball behind it', () => {
+  const state = setUp([['a', 'right']]);
+  const player = state.players.get('a');
+  player.x = -10;
+  player.y = 0;
+  const ball = Array.from(state.balls.values())[0];
+  ball.x = -50;
+  ball.y = 0;
+  const bot = Bots.createBot('a', 'right', 'hard');
+  const [input] = Bots.think(bot, state, viewOf(state), () => 0.5);
+  assert.notStrictEqual(input.y, 0);
+  const next = play(Simulation.step(state, [input]).state, [bot], 80);
+  assert.strictEqual(next.players.get('a').carryingBallId, ball.id);
+});
+
+test('a lone bot collects balls and scores them in its goal', () => {
+  const state = setUp([['a', 'left'], ['b', 'right']]);
+  const bot = Bots.createBot('a', 'left', 'normal');
+  const next = play(state, [bot], 200);
+  assert.ok(next.teamScores.left > 0);
+  assert.strictEqual(next.teamScores.right, 0);
+});
+
+test('bots tackle an opponent carrying a ball unless they are easy', () => {
+  for (const [difficulty, tackles] of [['normal', true], ['easy', false]]) {
+    const state = setUp([['a', 'left'], ['b', 'right']]);
+    while (state.match.phase !== 'playing') {
+      Object.assign(state, Simulation.step(state, []).state);
+    }
+    const ball = Array.from(state.balls.values())[0];
+    const carrier = state.players.get('b');
+    carrier.x = 20;
+    carrier.y = 0;
+    carrier.carryingBallId = ball.id;
+    ball.carriedBy = 'b';
+    const tackler = state.players.get('a');
+    tackler.x = 0;
+    tackler.y = 0;
+    const bot = Bots.createBot('a', 'left', difficulty);
+    const commands = Bots.think(bot, state, viewOf(state), () => 0.5);
+    assert.strictEqual(commands.some((c) => c.type === 'tackle'), tackles, difficulty);
+  }
+});
+
+test('bots only go for what their team can see', () => {
+  const state = setUp([['a', 'left']]);
+  const bot = Bots.createBot('a', 'left', 'hard');
+  const [input] = Bots.think(bot, state, { players: [state.players.get('a')], balls: [] }, () => 0.5);
+  assert.deepStrictEqual(input, { type: 'input', id: 'a', x: 0, y: 0 });
+});
+
+test('bot targets even the teams within the room size', () => {
+  assert.deepStrictEqual(Bots.botTargets({ left: 1, right: 0 }, 8), { left: 0, right: 1 });
+  assert.deepStrictEqual(Bots.botTargets({ left: 2, right: 2 }, 8), { left: 0, right: 0 });
+  assert.deepStrictEqual(Bots.botTargets({ left: 3, right: 1 }, 8), { left: 0, right: 2 });
+  assert.deepStrictEqual(Bots.botTargets({ left: 5, right: 0 }, 8), { left: 0, right: 3 });
+  assert.deepStrictEqual(Bots.botTargets({ a: 2, b: 0, c: 1 }, 5), { a: 0, b: 2, c: 0 });
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const Grid = require('../lib/grid');
+const Maps = require('../lib/maps');
+const Simulation = require('../lib/simulation');
+
+test('a query finds items in the cells around it and not far ones', () => {
+  const grid = Grid.createGrid(10);
+  grid.insert('near', 3, 4);
+  grid.insert('neighbour cell', -6, 12);
+  grid.insert('far', 80, -80);
+  assert.deepStrictEqual(grid.query(0, 5, 8), ['near', 'neighbour cell']);
+  assert.deepStrictEqual(grid.query(85, -75), ['far']);
+  assert.deepStrictEqual(grid.query(-200, 200, 5), []);
+});
+
+test('items come back once each, in the order they were inserted', () => {
+  const grid = Grid.createGrid(10);
+  grid.insert('c', 25, 25);
+  grid.insert('wide', 0, 0, 30);
+  grid.insert('a', -5, -5);
+  grid.insert('b', 15, -15);
+  assert.deepStrictEqual(grid.query(0, 0, 30), ['c', 'wide', 'a', 'b']);
+  assert.deepStrictEqual(grid.query(-25, 25), ['wide']);
+  // Asking again finds the same items, whatever the last query marked as seen
+  assert.deepStrictEqual(grid.query(0, 0, 30), ['c', 'wide', 'a', 'b']);
+});
+
+test('the simulation plays the same with a linear scan as with the grid', () => {
+  const def = Maps.loadMaps(path.join(__dirname, '..', 'maps'), ['left', 'right']).get('classic');
+  const rules = { scoreTarget: Infinity, timeLimit: 0, minPlayers: 2, countdown: 0, restartDelay: 0 };
+  // A crowd of players charging about in the middle, kicking and tackling
+  function play() {
+    let state = Simulation.createState({ def: { ...def, ballCount: 12 }, seed: 9, rules });
+    const joins = [];
+    for (let i = 0; i < 24; i++) joins.push({ type: 'join', id: `p${i}`, team: i % 2 ? 'left' : 'right' });
+    state = Simulation.step(state, joins).state;
+    for (let t = 0; t < 120; t++) {
+      const commands = [];
+      for (let i = 0; i < 24; i++) {
+        const angle = (t / 20) + i;
+        commands.push({ type: 'input', id: `p${i}`, x: Math.cos(angle), y: Math.sin(angle) });
+        if ((t + i) % 30 === 0) commands.push({ type: 'kick', id: `p${i}`, x: 1, y: 0, charge: 0.5 });
+        if ((t + i) % 40 === 0) commands.push({ type: 'tackle', id: `p${i}`, x: Math.sin(angle), y: Math.cos(angle) });
+      }
+      state = Simulation.step(state, commands).state;
+    }
+    return Simulation.serialize(state);
+  }
+  const withGrid = play();
+  const createGrid = Grid.createGrid;
+  Grid.createGrid = Grid.createLinearScan;
+  try {
+    assert.deepStrictEqual(play(), withGrid);
+  } finally {
+    Grid.createGrid = createGrid;
+  }
+});
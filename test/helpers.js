@@ -0,0 +1,49 @@
+/*
+ * Fixtures shared by the tests: a small fixed map and a way to fill a
+ * simulation with players. Holds no tests itself.
+ */
+
+const Maps = require('../lib/maps');
+const Simulation = require('../lib/simulation');
+
+const TEAMS = ['left', 'right'];
+
+// 200 by 100 units with a goal at either end, one ball and no generated layout
+const BASE_MAP = {
+  name: 'test',
+  field: { width: 200, height: 100 },
+  model: null,
+  goals: {
+    left: { x: -95, y: 0, w: 10, h: 40 },
+    right: { x: 95, y: 0, w: 10, h: 40 },
+  },
+  spawns: {
+    left: [{ x: -60, y: 0 }],
+    right: [{ x: 60, y: 0 }],
+  },
+  ballCount: 1,
+  ballSpawnZones: [{ x: 0, y: 0, w: 20, h: 20 }],
+};
+
+// The test map, validated, with any of its parts replaced by `overrides`
+function testMap(overrides = {}) {
+  return Maps.validateMap(structuredClone({ ...BASE_MAP, ...overrides }), TEAMS);
+}
+
+// A new state with a player joined for each [id, team], one tick in
+function withPlayers(def, rules, players, seed = 1) {
+  const state = Simulation.createState({ def, teams: TEAMS, seed, rules });
+  return Simulation.step(state, players.map(([id, team]) => ({ type: 'join', id, team }))).state;
+}
+
+// Everything in a state, shaped like a team's view
+function everything(state) {
+  return { players: Array.from(state.players.values()), balls: Array.from(state.balls.values()) };
+}
+
+module.exports = {
+  TEAMS,
+  testMap,
+  withPlayers,
+  everything,
+};
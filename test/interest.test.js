@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Interest = require('../lib/interest');
+const { testMap, withPlayers, everything } = require('./helpers');
+
+// The test map stretched into a wide open field, with three balls
+const DEF = testMap({
+  field: { width: 2000, height: 400 },
+  goals: {
+    left: { x: -980, y: 0, w: 40, h: 80 },
+    right: { x: 980, y: 0, w: 40, h: 80 },
+  },
+  spawns: {
+    left: [{ x: -500, y: 0 }],
+    right: [{ x: 500, y: 0 }],
+  },
+  ballCount: 3,
+});
+
+const RULES = { scoreTarget: 3, timeLimit: 0, minPlayers: 2, countdown: 0, restartDelay: 0 };
+
+// Players and balls at the given x positions, on the middle line
+function setUp(players, balls) {
+  const state = withPlayers(DEF, RULES, players);
+  for (const [id, , x] of players) {
+    Object.assign(state.players.get(id), { x, y: 0 });
+  }
+  Array.from(state.balls.values()).forEach((ball, i) => Object.assign(ball, { x: balls[i], y: 0 }));
+  return state;
+}
+
+function ids(view) {
+  return [view.players.map((p) => p.id), view.balls.map((b) => b.id)];
+}
+
+const nothingKnown = () => false;
+
+test('a player gets what is near them and not what is far away', () => {
+  const state = setUp([['me', 'left', 0], ['near', 'right', 150], ['far', 'right', 600]], [-100, 400, 700]);
+  const [close] = Array.from(state.balls.keys());
+  const view = Interest.relevantTo(state, everything(state), { id: 'me', team: 'left', radius: 300, known: nothingKnown });
+  assert.deepStrictEqual(ids(view), [['me', 'near'], [close]]);
+});
+
+test('teammates carrying a ball, their ball and anything at a goal are always sent', () => {
+  const state = setUp([['me', 'left', 0], ['mate', 'left', -600], ['keeper', 'right', 960]], [-600, 0, -960]);
+  const [carried, near, atGoal] = Array.from(state.balls.values());
+  state.players.get('mate').carryingBallId = carried.id;
+  carried.carriedBy = 'mate';
+  const view = Interest.relevantTo(state, everything(state), { id: 'me', team: 'left', radius: 100, known: nothingKnown });
+  assert.deepStrictEqual(ids(view), [['me', 'mate', 'keeper'], [carried.id, near.id, atGoal.id]]);
+});
+
+test('entities already sent are only dropped a little past the edge', () => {
+  const state = setUp([['me', 'left', 0], ['edge', 'right', 330]], [700, 700, 700]);
+  const view = everything(state);
+  const options = { id: 'me', team: 'left', radius: 300 };
+  assert.deepStrictEqual(ids(Interest.relevantTo(state, view, { ...options, known: nothingKnown }))[0], ['me']);
+  assert.deepStrictEqual(ids(Interest.relevantTo(state, view, { ...options, known: () => true }))[0], ['me', 'edge']);
+});
+
+test('a radius of 0 sends the whole view', () => {
+  const state = setUp([['me', 'left', 0], ['far', 'right', 900]], [0, 0, 0]);
+  const view = everything(state);
+  assert.strictEqual(Interest.relevantTo(state, view, { id: 'me', team: 'left', radius: 0, known: nothingKnown }), view);
+});
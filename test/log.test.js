@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Log = require('../lib/log');
+
+// A logger writing into an array, at a fixed time
+function setUp(options) {
+  const lines = [];
+  const log = Log.createLogger({
+    ...options,
+    write: (level, line) => lines.push(line),
+    now: () => new Date('2025-01-01T12:00:00Z'),
+  });
+  return { log, lines };
+}
+
+test('entries are JSON lines with the time, level, message and fields', () => {
+  const { log, lines } = setUp();
+  log.info('Room created', { room: 'r1', seed: 7 });
+  assert.deepStrictEqual(JSON.parse(lines[0]), {
+    time: '2025-01-01T12:00:00.000Z',
+    level: 'info',
+    msg: 'Room created',
+    room: 'r1',
+    seed: 7,
+  });
+});
+
+test('entries below the level are skipped', () => {
+  const { log, lines } = setUp({ level: 'warn' });
+  log.debug('Connection opened');
+  log.info('Room closed');
+  log.warn('Ticks fell behind');
+  log.error('Could not save replay');
+  assert.deepStrictEqual(lines.map((line) => JSON.parse(line).level), ['warn', 'error']);
+  assert.strictEqual(log.enabled('info'), false);
+  assert.throws(() => Log.createLogger({ level: 'verbose' }), /Unknown log level "verbose"/);
+});
+
+test('child loggers add their fields, and errors keep their message', () => {
+  const { log, lines } = setUp();
+  const room = log.child({ room: 'r1' });
+  room.error('Could not save replay', { error: new Error('disk full') });
+  const entry = JSON.parse(lines[0]);
+  assert.strictEqual(entry.room, 'r1');
+  assert.strictEqual(entry.error.message, 'disk full');
+  assert.match(entry.error.stack, /^Error: disk full/);
+});
+
+test('the text format puts fields after the message', () => {
+  const { log, lines } = setUp({ format: 'text' });
+  log.warn('Admin request with a wrong token', { address: '10.0.0.1', url: '/admin/api/rooms', detail: 'two words' });
+  assert.strictEqual(lines[0],
+    '2025-01-01T12:00:00.000Z WARN  Admin request with a wrong token address=10.0.0.1 url=/admin/api/rooms detail="two words"');
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Loop = require('../lib/loop');
+
+// A loop on a clock the test moves by hand; `work` is how long each tick takes
+function setUp({ work = 0, maxCatchUp } = {}) {
+  let time = 0;
+  const calls = [];
+  const tickTimes = [];
+  const loop = Loop.createLoop({
+    tickInterval: 10,
+    broadcastInterval: 30,
+    maxCatchUp,
+    now: () => time,
+    tick: () => {
+      calls.push('tick');
+      time += work;
+    },
+    broadcast: () => calls.push('broadcast'),
+    onTick: (took) => tickTimes.push(took),
+  });
+  return {
+    loop,
+    calls,
+    tickTimes,
+    advance(ms) {
+      time += ms;
+      loop.run();
+    },
+  };
+}
+
+test('ticks follow real time, whatever the timer does', () => {
+  const { loop, calls, advance } = setUp();
+  advance(4);
+  assert.deepStrictEqual(calls, []);
+  advance(7);
+  advance(18);
+  assert.strictEqual(calls.filter((c) => c === 'tick').length, 2);
+  advance(1);
+  assert.strictEqual(loop.metrics().ticks, 3);
+});
+
+test('state is broadcast at its own rate, after the ticks that were due', () => {
+  const { calls, advance } = setUp();
+  for (let i = 0; i < 7; i++) advance(10);
+  assert.deepStrictEqual(calls, [
+    'tick', 'broadcast', 'tick', 'tick', 'tick', 'broadcast', 'tick', 'tick', 'tick', 'broadcast',
+  ]);
+});
+
+test('a stall is caught up to a limit and the rest dropped', () => {
+  const { loop, calls, advance } = setUp({ maxCatchUp: 3 });
+  advance(100);
+  const metrics = loop.metrics();
+  assert.strictEqual(calls.filter((c) => c === 'tick').length, 3);
+  assert.deepStrictEqual([metrics.lateTicks, metrics.droppedTicks], [2, 7]);
+  advance(10);
+  assert.strictEqual(loop.metrics().ticks, 4);
+});
+
+test('ticks taking longer than their interval count as overruns', () => {
+  const { loop, tickTimes, advance } = setUp({ work: 15 });
+  advance(10);
+  const metrics = loop.metrics();
+  assert.deepStrictEqual([metrics.ticks, metrics.overruns, metrics.maxTickTime], [1, 1, 15]);
+  assert.deepStrictEqual(tickTimes, [15]);
+});
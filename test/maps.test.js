@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Maps = require('../lib/maps');
+const Simulation = require('../lib/simulation');
+const { testMap } = require('./helpers');
+
+const TEAMS = ['left', 'right'];
+const MAPS = Maps.loadMaps(path.join(__dirname, '..', 'maps'), TEAMS);
+
+// Seeded random numbers from the simulation's generator
+function seeded(seed) {
+  const generator = { rngState: seed };
+  return () => Simulation.random(generator);
+}
+
+test('bundled maps load and validate', () => {
+  assert.ok(MAPS.has('classic'));
+});
+
+test('balls never spawn inside a goal or an obstacle', () => {
+  const random = seeded(1);
+  for (const def of MAPS.values()) {
+    const map = Maps.instantiateMap(def, random);
+    for (let i = 0; i < 500; i++) {
+      const pos = Maps.randomBallPosition(map, 3, random);
+      assert.ok(!Maps.goalAt(map, pos.x, pos.y, 3), `${def.name}: ball at ${pos.x},${pos.y} is in a goal`);
+      assert.ok(!Maps.obstacleAt(map, pos.x, pos.y, 3), `${def.name}: ball at ${pos.x},${pos.y} is in an obstacle`);
+    }
+  }
+});
+
+test('a spawn zone mostly over a goal only gives spots clear of it', () => {
+  // The left goal, x < -90 and |y| < 20, covers most of this zone
+  const map = Maps.instantiateMap(testMap({ ballSpawnZones: [{ x: -92, y: 0, w: 16, h: 60 }] }));
+  const random = seeded(2);
+  for (let i = 0; i < 500; i++) {
+    const pos = Maps.randomBallPosition(map, 3, random);
+    assert.ok(!Maps.goalAt(map, pos.x, pos.y, 3), `ball at ${pos.x},${pos.y} is in a goal`);
+  }
+  // Tries that always land in the goal give the first clear point of the zone
+  assert.deepStrictEqual(Maps.randomBallPosition(map, 3, () => 0.5), { x: -100, y: -30 });
+  // A zone with nowhere clear at all is turned down
+  assert.throws(() => testMap({ ballSpawnZones: [{ x: -92, y: 0, w: 16, h: 40 }] }),
+    /Map "test": ball spawn zone 0 is covered by goals and obstacles/);
+});
+
+test('maps can list their own teams', () => {
+  const crossroads = MAPS.get('crossroads');
+  assert.deepStrictEqual(crossroads.teams, ['west', 'east', 'north', 'south']);
+  assert.deepStrictEqual(MAPS.get('classic').teams, TEAMS);
+  const def = { ...MAPS.get('classic'), name: 'lonely', teams: ['left'] };
+  assert.throws(() => Maps.validateMap(def, TEAMS), /Map "lonely": teams must list at least two teams/);
+  const missingGoal = { ...MAPS.get('classic'), name: 'third', teams: ['left', 'right', 'middle'] };
+  assert.throws(() => Maps.validateMap(missingGoal, TEAMS), /Map "third": goal for team "middle"/);
+});
+
+test('validateMap fills in the optional parts', () => {
+  const def = testMap();
+  assert.deepStrictEqual(def.teams, TEAMS);
+  assert.deepStrictEqual(def.obstacles, []);
+  assert.deepStrictEqual(def.bushes, []);
+  assert.deepStrictEqual(testMap({ teams: ['right', 'left'] }).teams, ['right', 'left']);
+});
+
+test('validateMap names the map and the problem', () => {
+  const broken = [
+    [{ name: '' }, /Map "": name must be a non-empty string/],
+    [{ teams: ['left', 'left'] }, /teams must be distinct non-empty strings/],
+    [{ field: { width: 0, height: 10 } }, /field must have a positive width and height/],
+    [{ field: { width: 5000, height: 100 } }, /field can be at most 4000 units across/],
+    [{ model: { file: 'pitch.glb' } }, /model must have a file and a numeric scale/],
+    [{ goals: { left: { x: -95, y: 0, w: 10, h: 40 } } }, /goal for team "right" must have numeric x and y/],
+    [{ goals: { left: { x: -95, y: 0, w: 0, h: 40 }, right: { x: 95, y: 0, w: 10, h: 40 } } },
+      /goal for team "left" must have a positive w and h/],
+    [{ goals: { left: { x: -95, y: 0, w: 10, h: 40 }, right: { x: 150, y: 0, w: 10, h: 40 } } },
+      /goal for team "right" lies outside the field/],
+    [{ spawns: { left: [{ x: -60, y: 0 }], right: [] } }, /team "right" needs at least one spawn point/],
+    [{ spawns: { left: [{ x: -60, y: 0 }, { x: -60, y: 80 }], right: [{ x: 60, y: 0 }] } },
+      /spawn 1 for team "left" lies outside the field/],
+    [{ ballCount: 0 }, /ballCount must be a positive integer/],
+    [{ ballCount: 1.5 }, /ballCount must be a positive integer/],
+    [{ ballSpawnZones: [] }, /ballSpawnZones must list at least one zone/],
+    [{ ballSpawnZones: [{ x: 0, y: 0, w: 20, h: 20 }, { x: 500, y: 500, w: 20, h: 20 }] },
+      /ball spawn zone 1 extends past the field/],
+    [{ ballSpawnZones: [{ x: 0, y: 0, w: 20 }] }, /ball spawn zone 0 must have a positive w and h/],
+    [{ obstacles: [{ x: 0, y: 30, w: -5, h: 10 }] }, /obstacle 0 must have a positive w and h/],
+    [{ bushes: [{ x: 0, y: 30 }] }, /bush 0 must have a positive radius r/],
+    [{ bushes: [{ y: 30, r: 10 }] }, /bush 0 must have numeric x and y/],
+    [{ generate: { obstacles: -1 } }, /generate.obstacles must be a non-negative integer/],
+    [{ generate: { bushes: 1.5 } }, /generate.bushes must be a non-negative integer/],
+  ];
+  for (const [overrides, message] of broken) {
+    assert.throws(() => testMap(overrides), message, JSON.stringify(overrides));
+  }
+  // Every message starts with the map it's about
+  assert.throws(() => testMap({ ballCount: 0 }), /^Error: Map "test": /);
+});
+
+test('loadMaps loads every .json file, named after it unless the map has a name', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'maps-'));
+  try {
+    const { name, ...unnamed } = testMap();
+    fs.writeFileSync(path.join(dir, 'small.json'), JSON.stringify(unnamed));
+    fs.writeFileSync(path.join(dir, 'other.json'), JSON.stringify({ ...unnamed, name: 'Named' }));
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a map');
+    const maps = Maps.loadMaps(dir, TEAMS);
+    assert.deepStrictEqual(Array.from(maps.keys()), ['Named', 'small']);
+    assert.deepStrictEqual(maps.get('small').spawns, unnamed.spawns);
+
+    fs.writeFileSync(path.join(dir, 'bad.json'), '{ "field": ');
+    assert.throws(() => Maps.loadMaps(dir, TEAMS), /^Error: Map file bad.json: /);
+    fs.writeFileSync(path.join(dir, 'bad.json'), JSON.stringify({ ...unnamed, ballCount: -1 }));
+    assert.throws(() => Maps.loadMaps(dir, TEAMS), /Map "bad": ballCount must be a positive integer/);
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+});
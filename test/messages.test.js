@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Messages = require('../lib/messages');
+
+test('messages the client sends pass', () => {
+  const valid = [
+    { type: 'input', x: 0.5, y: -1, seq: 12 },
+    { type: 'kick', x: 0, y: 0, charge: 1 },
+    { type: 'tackle', x: 1, y: 0 },
+    { type: 'chooseTeam', team: null },
+    { type: 'chooseTeam', team: 'left' },
+    { type: 'ack', seq: 0 },
+    { type: 'listRooms' },
+    { type: 'createRoom', map: 'classic', bots: 'off', name: 'Ana', model: 'bear' },
+    { type: 'joinRoom', room: 'fun', spectate: true },
+    { type: 'resume', token: '6c2f3a2e-6f37-4c1b-9a63-4e1d2b1e4f10' },
+    { type: 'leaveRoom' },
+  ];
+  for (const msg of valid) {
+    assert.strictEqual(Messages.validate(msg), null, JSON.stringify(msg));
+  }
+});
+
+test('messages that are not objects or have unknown types fail', () => {
+  assert.strictEqual(Messages.validate(null), 'message must be an object');
+  assert.strictEqual(Messages.validate([1]), 'message must be an object');
+  assert.strictEqual(Messages.validate(3), 'message must be an object');
+  assert.strictEqual(Messages.validate({ type: 'teleport' }), 'unknown message type "teleport"');
+  assert.strictEqual(Messages.validate({ type: 'toString' }), 'unknown message type "toString"');
+  assert.strictEqual(Messages.validate({}), 'unknown message type "undefined"');
+});
+
+test('fields must match the schema', () => {
+  assert.strictEqual(Messages.validate({ type: 'input', x: 2, y: 0 }), 'input.x must be a number from -1 to 1');
+  assert.strictEqual(Messages.validate({ type: 'input', x: '0.5', y: 0 }), 'input.x must be a number from -1 to 1');
+  assert.strictEqual(Messages.validate({ type: 'input', x: 0 }), 'input.y is missing');
+  assert.strictEqual(Messages.validate({ type: 'input', x: 0, y: null }), 'input.y must not be null');
+  assert.strictEqual(Messages.validate({ type: 'input', x: 0, y: 0, seq: 1.5 }), 'input.seq must be a whole number from 0 to 4294967295');
+  assert.strictEqual(Messages.validate({ type: 'ack', seq: 2 ** 32 }), 'ack.seq must be a whole number from 0 to 4294967295');
+  assert.strictEqual(Messages.validate({ type: 'joinRoom', room: 'x'.repeat(65) }), 'joinRoom.room must be a string of at most 64 characters');
+  assert.strictEqual(Messages.validate({ type: 'joinRoom', room: 'x', spectate: 1 }), 'joinRoom.spectate must be true or false');
+  assert.strictEqual(Messages.validate({ type: 'leaveRoom', admin: true }), 'leaveRoom: unexpected field "admin"');
+});
+
+test('the rate limiter allows a burst, then the rate', () => {
+  let now = 0;
+  const limiter = Messages.createRateLimiter(10, 20, () => now);
+  for (let i = 0; i < 20; i++) assert.ok(limiter.take());
+  assert.strictEqual(limiter.take(), false);
+  now += 500;
+  for (let i = 0; i < 5; i++) assert.ok(limiter.take());
+  assert.strictEqual(limiter.take(), false);
+  now += 60 * 1000;
+  for (let i = 0; i < 20; i++) assert.ok(limiter.take());
+  assert.strictEqual(limiter.take(), false);
+});
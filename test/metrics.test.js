@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Metrics = require('../lib/metrics');
+
+test('counters and gauges render in the Prometheus text format', () => {
+  const registry = Metrics.createRegistry();
+  const dropped = registry.counter('dropped_total', 'Connections dropped');
+  let rooms = 2;
+  registry.gauge('rooms', 'Rooms open', () => rooms);
+  registry.gauge('players', 'People in rooms', () => [
+    { labels: { state: 'playing' }, value: 3 },
+    { labels: { state: 'spectating' }, value: 1 },
+  ]);
+  assert.match(registry.render(), /^dropped_total 0$/m);
+  dropped.inc({ code: 1006 });
+  dropped.inc({ code: 1006 });
+  dropped.inc({ code: 4001 });
+  rooms = 5;
+  assert.strictEqual(registry.render(), [
+    '# HELP dropped_total Connections dropped',
+    '# TYPE dropped_total counter',
+    'dropped_total{code="1006"} 2',
+    'dropped_total{code="4001"} 1',
+    '# HELP rooms Rooms open',
+    '# TYPE rooms gauge',
+    'rooms 5',
+    '# HELP players People in rooms',
+    '# TYPE players gauge',
+    'players{state="playing"} 3',
+    'players{state="spectating"} 1',
+    '',
+  ].join('\n'));
+  assert.throws(() => registry.gauge('rooms', 'Again', () => 0), /already exists/);
+});
+
+test('summaries report quantiles over recent observations', () => {
+  const registry = Metrics.createRegistry();
+  const durations = registry.summary('tick_seconds', 'Tick time', { size: 100, quantiles: [0.5, 0.99] });
+  assert.match(registry.render(), /^tick_seconds\{quantile="0.5"\} NaN$/m);
+  // 1..200: only the last 100 are kept for quantiles, but all count towards sum and count
+  for (let i = 1; i <= 200; i++) durations.observe(i);
+  const lines = registry.render().split('\n');
+  assert.deepStrictEqual(lines.slice(2, 6), [
+    'tick_seconds{quantile="0.5"} 150',
+    'tick_seconds{quantile="0.99"} 199',
+    'tick_seconds_sum 20100',
+    'tick_seconds_count 200',
+  ]);
+});
+
+test('rates average over the last whole seconds', () => {
+  let time = 0;
+  const rate = Metrics.createRate(2, () => time);
+  rate.mark(10);
+  time = 1000;
+  rate.mark(4);
+  assert.strictEqual(rate.perSecond(), 5); // only the first second is over
+  time = 2000;
+  assert.strictEqual(rate.perSecond(), 7);
+  time = 3500;
+  assert.strictEqual(rate.perSecond(), 2);
+  time = 4000;
+  assert.strictEqual(rate.perSecond(), 0); // both seconds with events are out of the window
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Ownership = require('../lib/ownership');
+
+function makeRoom() {
+  const room = { players: new Map(), balls: new Map() };
+  for (const id of ['p1', 'p2']) {
+    room.players.set(id, { id, carryingBallId: null });
+  }
+  for (const id of ['b1', 'b2']) {
+    room.balls.set(id, { id, x: 10, y: 20, vx: 1, vy: 1, carriedBy: null, kickedBy: 'p2' });
+  }
+  return room;
+}
+
+test('pickUp links the ball and player both ways and stops the ball', () => {
+  const room = makeRoom();
+  const player = room.players.get('p1');
+  const ball = room.balls.get('b1');
+  assert.strictEqual(Ownership.pickUp(player, ball), true);
+  assert.strictEqual(player.carryingBallId, 'b1');
+  assert.strictEqual(ball.carriedBy, 'p1');
+  assert.strictEqual(ball.kickedBy, null);
+  assert.deepStrictEqual([ball.vx, ball.vy], [0, 0]);
+  assert.strictEqual(Ownership.carriedBall(room, player), ball);
+});
+
+test('pickUp refuses a carried ball or a player with full hands', () => {
+  const room = makeRoom();
+  const p1 = room.players.get('p1');
+  const p2 = room.players.get('p2');
+  Ownership.pickUp(p1, room.balls.get('b1'));
+  assert.strictEqual(Ownership.pickUp(p2, room.balls.get('b1')), false);
+  assert.strictEqual(Ownership.pickUp(p1, room.balls.get('b2')), false);
+  assert.strictEqual(p2.carryingBallId, null);
+  assert.strictEqual(room.balls.get('b2').carriedBy, null);
+});
+
+test('release on leaving drops the ball at rest where it is', () => {
+  const room = makeRoom();
+  const player = room.players.get('p1');
+  const ball = room.balls.get('b1');
+  Ownership.pickUp(player, ball);
+  ball.x = 50;
+  assert.strictEqual(Ownership.release(room, player), ball);
+  assert.strictEqual(player.carryingBallId, null);
+  assert.strictEqual(ball.carriedBy, null);
+  assert.strictEqual(ball.x, 50);
+  assert.strictEqual(Ownership.release(room, player), null);
+});
+
+test('steal on a stunning tackle hands the ball to an empty-handed tackler', () => {
+  const room = makeRoom();
+  const target = room.players.get('p1');
+  const tackler = room.players.get('p2');
+  Ownership.pickUp(target, room.balls.get('b1'));
+  assert.strictEqual(Ownership.steal(room, target, tackler), true);
+  assert.strictEqual(target.carryingBallId, null);
+  assert.strictEqual(tackler.carryingBallId, 'b1');
+  assert.strictEqual(room.balls.get('b1').carriedBy, 'p2');
+});
+
+test('steal drops the ball loose when the tackler already carries one', () => {
+  const room = makeRoom();
+  const target = room.players.get('p1');
+  const tackler = room.players.get('p2');
+  Ownership.pickUp(target, room.balls.get('b1'));
+  Ownership.pickUp(tackler, room.balls.get('b2'));
+  assert.strictEqual(Ownership.steal(room, target, tackler), false);
+  assert.strictEqual(target.carryingBallId, null);
+  assert.strictEqual(tackler.carryingBallId, 'b2');
+  assert.strictEqual(room.balls.get('b1').carriedBy, null);
+});
+
+test('removeBall on scoring frees the carrier and takes the ball out of play', () => {
+  const room = makeRoom();
+  const player = room.players.get('p1');
+  Ownership.pickUp(player, room.balls.get('b1'));
+  Ownership.removeBall(room, room.balls.get('b1'));
+  assert.strictEqual(room.balls.has('b1'), false);
+  assert.strictEqual(player.carryingBallId, null);
+});
+
+test('checkOwnership leaves consistent links alone', () => {
+  const room = makeRoom();
+  Ownership.pickUp(room.players.get('p1'), room.balls.get('b1'));
+  assert.deepStrictEqual(Ownership.checkOwnership(room), []);
+  assert.strictEqual(room.balls.get('b1').carriedBy, 'p1');
+});
+
+test('checkOwnership frees balls carried by players who left', () => {
+  const room = makeRoom();
+  Ownership.pickUp(room.players.get('p1'), room.balls.get('b1'));
+  room.players.delete('p1');
+  const problems = Ownership.checkOwnership(room);
+  assert.strictEqual(problems.length, 1);
+  assert.strictEqual(room.balls.get('b1').carriedBy, null);
+});
+
+test('checkOwnership repairs one-sided links', () => {
+  const room = makeRoom();
+  room.balls.get('b1').carriedBy = 'p1'; // p1 doesn't know about it
+  room.players.get('p2').carryingBallId = 'b2'; // b2 doesn't know about it
+  const problems = Ownership.checkOwnership(room);
+  assert.strictEqual(problems.length, 2);
+  assert.strictEqual(room.balls.get('b1').carriedBy, null);
+  assert.strictEqual(room.players.get('p2').carryingBallId, null);
+});
+
+test('checkOwnership clears players pointing at balls that are gone', () => {
+  const room = makeRoom();
+  room.players.get('p1').carryingBallId = 'gone';
+  assert.strictEqual(Ownership.checkOwnership(room).length, 1);
+  assert.strictEqual(room.players.get('p1').carryingBallId, null);
+});
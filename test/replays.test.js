@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Maps = require('../lib/maps');
+const Simulation = require('../lib/simulation');
+const Replays = require('../lib/replays');
+
+const TEAMS = ['left', 'right'];
+const MAPS = Maps.loadMaps(path.join(__dirname, '..', 'maps'), TEAMS);
+const RULES = { scoreTarget: 3, timeLimit: 0, minPlayers: 2, countdown: 100, restartDelay: 100 };
+
+test('a recorded match plays back to the same state', () => {
+  let state = Simulation.createState({ def: MAPS.get('classic'), teams: TEAMS, seed: 42, rules: RULES });
+  state = Simulation.step(state, [
+    { type: 'join', id: 'a', team: 'left' },
+    { type: 'join', id: 'b', team: 'right' },
+  ]).state;
+  // JSON round trip, as when the replay is saved and loaded again
+  const recording = Replays.startRecording({ id: 'test', room: 'r', seed: 42 }, state);
+  for (let t = 0; t < 300; t++) {
+    const commands = [];
+    if (t % 20 === 0) {
+      commands.push({ type: 'input', id: 'a', x: Math.sin(t), y: Math.cos(t), seq: t + 1 });
+      commands.push({ type: 'input', id: 'b', x: -1, y: Math.sin(t / 7), seq: t + 1 });
+    }
+    if (t % 45 === 0) commands.push({ type: 'kick', id: 'a', x: 1, y: 0, charge: 1 });
+    if (t % 70 === 0) commands.push({ type: 'tackle', id: 'b', x: -1, y: 0 });
+    state = Simulation.step(state, commands).state;
+    Replays.recordTick(recording, commands);
+  }
+
+  const { frames } = Replays.renderFrames(JSON.parse(JSON.stringify(recording)), 100);
+  const last = frames[frames.length - 1];
+  assert.strictEqual(last.tick, state.tick);
+  assert.strictEqual(last.phase, state.match.phase);
+  assert.deepStrictEqual(last.scores, state.teamScores);
+  for (const player of last.players) {
+    const live = state.players.get(player.id);
+    assert.ok(Math.abs(player.x - live.x) <= 0.05 && Math.abs(player.y - live.y) <= 0.05);
+  }
+  assert.deepStrictEqual(last.balls.map((b) => b.id), Array.from(state.balls.keys()));
+});
+
+test('frames are spaced by the interval and end on the last tick', () => {
+  const state = Simulation.createState({ def: MAPS.get('classic'), teams: TEAMS, seed: 1, rules: RULES });
+  const recording = Replays.startRecording({ id: 'test', room: 'r', seed: 1 }, state);
+  for (let t = 0; t < 5; t++) Replays.recordTick(recording, []);
+  assert.deepStrictEqual(recording.ticks, []);
+  const { frames } = Replays.renderFrames(recording, 2 * Simulation.tickInterval(state));
+  assert.deepStrictEqual(frames.map((f) => f.tick), [0, 2, 4, 5]);
+});
+
+test('recordings say when they are as long as a replay can be', () => {
+  const state = Simulation.createState({ def: MAPS.get('classic'), teams: TEAMS, seed: 1, rules: RULES, tickRate: 30 });
+  const recording = Replays.startRecording({ id: 'test', room: 'r', seed: 1 }, state);
+  const ticks = (Replays.MAX_DURATION / 1000) * 30;
+  for (let t = 1; t < ticks; t++) assert.strictEqual(Replays.recordTick(recording, []), false);
+  assert.strictEqual(Replays.recordTick(recording, []), true);
+  assert.strictEqual(recording.length, ticks);
+});
+
+test('version 1 replays, recorded at 30 ticks a second, still load and play', async () => {
+  let state = Simulation.createState({ def: MAPS.get('classic'), teams: TEAMS, seed: 3, rules: RULES, tickRate: 30 });
+  const recording = Replays.startRecording({ id: '00000000-0000-4000-8000-000000000001', room: 'r', seed: 3 }, state);
+  const commands = [{ type: 'join', id: 'a', team: 'left' }, { type: 'input', id: 'a', x: 1, y: 0 }];
+  for (let t = 0; t < 30; t++) {
+    state = Simulation.step(state, t === 0 ? commands : []).state;
+    Replays.recordTick(recording, t === 0 ? commands : []);
+  }
+  // How version 1 stored it: the tick length in ms, and no rate, ball count or speed in the state
+  const old = JSON.parse(JSON.stringify(recording));
+  old.version = 1;
+  old.tickRate = 1000 / 30;
+  delete old.initialState.tickRate;
+  delete old.initialState.rules.ballCount;
+  delete old.initialState.rules.playerSpeed;
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replays-'));
+  try {
+    fs.writeFileSync(path.join(dir, `${old.id}.json`), JSON.stringify(old));
+    const store = Replays.createStore(dir, 10);
+    assert.strictEqual(store.list()[0].duration, 1000);
+    const rendered = Replays.renderFrames(await store.load(old.id), 100);
+    assert.deepStrictEqual(rendered, Replays.renderFrames(recording, 100));
+    // Rendered in a worker thread, as JSON, and kept for the next request
+    const json = await store.frames(old.id, 100);
+    assert.deepStrictEqual(JSON.parse(json), rendered);
+    assert.strictEqual(store.frames(old.id, 100), store.frames(old.id, 100));
+    assert.strictEqual(await store.frames('00000000-0000-4000-8000-000000000002', 100), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+});
@@ -0,0 +1,294 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Maps = require('../lib/maps');
+const Simulation = require('../lib/simulation');
+const { TEAMS, testMap } = require('./helpers');
+
+// The test map with two balls spawning in the bottom half and an obstacle in the top half
+const DEF = testMap({
+  ballCount: 2,
+  ballSpawnZones: [{ x: 0, y: -30, w: 20, h: 10 }],
+  obstacles: [{ x: 0, y: 30, w: 20, h: 10 }],
+});
+
+const TICK = 1000 / Simulation.DEFAULT_TICK_RATE; // ms
+
+const RULES = {
+  scoreTarget: 2,
+  timeLimit: 0,
+  minPlayers: 2,
+  countdown: TICK * 2,
+  restartDelay: TICK * 2,
+};
+
+function newState(seed = 1) {
+  return Simulation.createState({ def: DEF, teams: TEAMS, seed, rules: RULES });
+}
+
+// Step through several ticks, sending `commands` on the first
+function run(state, commands, ticks = 1) {
+  let events = [];
+  for (let i = 0; i < ticks; i++) {
+    const result = Simulation.step(state, i === 0 ? commands : []);
+    state = result.state;
+    events = events.concat(result.events);
+  }
+  return { state, events };
+}
+
+// Two players, one per team, with the match under way
+function playingState() {
+  const { state } = run(newState(), [
+    { type: 'join', id: 'a', team: 'left' },
+    { type: 'join', id: 'b', team: 'right' },
+  ], 4);
+  assert.strictEqual(state.match.phase, 'playing');
+  return state;
+}
+
+function ballList(state) {
+  return Array.from(state.balls.values());
+}
+
+test('the same seed and commands give the same states', () => {
+  const commands = [{ type: 'join', id: 'a', team: 'left' }, { type: 'input', id: 'a', x: 1, y: 1, seq: 1 }];
+  const first = run(newState(7), commands, 20).state;
+  const second = run(newState(7), commands, 20).state;
+  assert.deepStrictEqual(first, second);
+  const other = newState(8);
+  assert.notDeepStrictEqual(ballList(other).map((b) => [b.x, b.y]), ballList(first).map((b) => [b.x, b.y]));
+});
+
+test('step leaves the state it was given untouched', () => {
+  const state = run(newState(), [{ type: 'join', id: 'a', team: 'left' }]).state;
+  const before = structuredClone(state);
+  Simulation.step(state, [{ type: 'input', id: 'a', x: 1, y: 0 }]);
+  assert.deepStrictEqual(state, before);
+});
+
+test('balls use injected ids', () => {
+  let n = 0;
+  const state = Simulation.createState({
+    def: DEF, teams: TEAMS, seed: 1, rules: RULES, generateId: () => `custom-${++n}`,
+  });
+  assert.deepStrictEqual(Array.from(state.balls.keys()), ['custom-1', 'custom-2']);
+});
+
+test('players keep the name, model and bot flag they joined with', () => {
+  const { state } = run(newState(), [
+    { type: 'join', id: 'a', team: 'left', name: 'Ana', model: 'bear' },
+    { type: 'join', id: 'b', team: 'right', name: 'Bot 1', model: 'bird', bot: true },
+    { type: 'join', id: 'c', team: 'right' },
+  ]);
+  const pick = (p) => [p.name, p.model, p.bot];
+  assert.deepStrictEqual(pick(state.players.get('a')), ['Ana', 'bear', false]);
+  assert.deepStrictEqual(pick(state.players.get('b')), ['Bot 1', 'bird', true]);
+  assert.deepStrictEqual(pick(state.players.get('c')), [null, null, false]);
+});
+
+test('the match counts down and starts once enough players join', () => {
+  let { state, events } = run(newState(), [{ type: 'join', id: 'a', team: 'left' }], 3);
+  assert.strictEqual(state.match.phase, 'waiting');
+  ({ state, events } = run(state, [{ type: 'join', id: 'b', team: 'right' }]));
+  assert.strictEqual(state.match.phase, 'countdown');
+  assert.deepStrictEqual(events, [{ type: 'phase' }]);
+  ({ state } = run(state, [], 2));
+  assert.strictEqual(state.match.phase, 'playing');
+});
+
+test('players pick up a ball they touch', () => {
+  const state = playingState();
+  const player = state.players.get('a');
+  const ball = ballList(state)[0];
+  ball.x = player.x + 4;
+  ball.y = player.y;
+  const next = run(state, []).state;
+  assert.strictEqual(next.players.get('a').carryingBallId, ball.id);
+  assert.strictEqual(next.balls.get(ball.id).carriedBy, 'a');
+});
+
+test('carrying a ball into your own goal scores and respawns it', () => {
+  let state = playingState();
+  const ball = ballList(state)[0];
+  const player = state.players.get('a');
+  player.carryingBallId = ball.id;
+  ball.carriedBy = 'a';
+  ({ state } = run(state, [{ type: 'input', id: 'a', x: -1, y: 0 }], 40));
+  assert.strictEqual(state.teamScores.left, 1);
+  assert.strictEqual(state.players.get('a').score, 1);
+  assert.strictEqual(state.players.get('a').carryingBallId, null);
+  assert.strictEqual(state.balls.has(ball.id), false);
+  assert.strictEqual(state.balls.size, DEF.ballCount);
+  for (const b of state.balls.values()) {
+    assert.ok(!Maps.goalAt(state.map, b.x, b.y, Simulation.BALL_RADIUS));
+  }
+});
+
+test('reaching the score target finishes the match', () => {
+  const state = playingState();
+  state.teamScores.right = RULES.scoreTarget - 1;
+  const ball = ballList(state)[0];
+  ball.kickedBy = 'b';
+  ball.x = 88;
+  ball.y = 0;
+  ball.vx = 300;
+  const { state: next, events } = run(state, []);
+  assert.strictEqual(next.teamScores.right, RULES.scoreTarget);
+  assert.strictEqual(next.match.phase, 'finished');
+  assert.strictEqual(next.match.winner, 'right');
+  assert.deepStrictEqual(events, [{ type: 'phase' }]);
+});
+
+test('diagonal input is no faster and shorter input is slower', () => {
+  const state = playingState();
+  const start = state.players.get('a');
+  const moved = (x, y) => {
+    const player = run(state, [{ type: 'input', id: 'a', x, y }]).state.players.get('a');
+    return Math.hypot(player.x - start.x, player.y - start.y);
+  };
+  const perTick = Simulation.PLAYER_SPEED / Simulation.DEFAULT_TICK_RATE;
+  assert.ok(Math.abs(moved(1, 1) - perTick) < 1e-9);
+  assert.ok(Math.abs(moved(0, 0.5) - perTick / 2) < 1e-9);
+});
+
+test('players move as far and tackles last as long at any tick rate', () => {
+  const after = (tickRate) => {
+    let state = Simulation.createState({ def: DEF, teams: TEAMS, seed: 1, rules: RULES, tickRate });
+    ({ state } = run(state, [{ type: 'join', id: 'a', team: 'left' }]));
+    const start = state.players.get('a').x;
+    ({ state } = run(state, [{ type: 'input', id: 'a', x: 1, y: 0 }], tickRate / 2));
+    const moved = state.players.get('a').x - start;
+    ({ state } = run(state, [{ type: 'tackle', id: 'a', x: 0, y: 1 }]));
+    const dash = (state.players.get('a').tackleUntil - state.tick + 1) / tickRate;
+    return [moved, dash];
+  };
+  const [slowMoved, slowDash] = after(30);
+  const [fastMoved, fastDash] = after(120);
+  assert.ok(Math.abs(slowMoved - Simulation.PLAYER_SPEED / 2) < 1e-9);
+  assert.ok(Math.abs(fastMoved - Simulation.PLAYER_SPEED / 2) < 1e-9);
+  assert.ok(Math.abs(slowDash - fastDash) < 1 / 30);
+});
+
+test('input that is not a number counts as no movement', () => {
+  const state = playingState();
+  const start = state.players.get('a');
+  const player = run(state, [{ type: 'input', id: 'a', x: NaN, y: Infinity }], 5).state.players.get('a');
+  assert.deepStrictEqual([player.x, player.y], [start.x, start.y]);
+});
+
+test('players and rolling balls stay inside the field', () => {
+  let state = playingState();
+  const ball = ballList(state)[0];
+  ball.vx = -420;
+  ball.vy = 420;
+  ({ state } = run(state, [{ type: 'input', id: 'b', x: 1, y: -1 }], 80));
+  const player = state.players.get('b');
+  assert.strictEqual(player.x, DEF.field.width / 2 - Simulation.PLAYER_RADIUS);
+  assert.strictEqual(player.y, -DEF.field.height / 2 + Simulation.PLAYER_RADIUS);
+  const rolled = state.balls.get(ball.id);
+  assert.ok(Math.abs(rolled.x) <= DEF.field.width / 2 - Simulation.BALL_RADIUS);
+  assert.ok(Math.abs(rolled.y) <= DEF.field.height / 2 - Simulation.BALL_RADIUS);
+});
+
+test('players are pushed out of obstacles', () => {
+  let state = playingState();
+  const player = state.players.get('a');
+  player.x = 0;
+  player.y = 10;
+  ({ state } = run(state, [{ type: 'input', id: 'a', x: 0, y: 1 }], 10));
+  const moved = state.players.get('a');
+  assert.ok(!Maps.obstacleAt(state.map, moved.x, moved.y, Simulation.PLAYER_RADIUS - 0.001));
+});
+
+test('a tackle knocks the ball loose and the tackler takes it', () => {
+  const state = playingState();
+  const tackler = state.players.get('a');
+  const target = state.players.get('b');
+  const ball = ballList(state)[0];
+  tackler.x = -5;
+  target.x = 5;
+  tackler.y = target.y = ball.y = 0;
+  target.carryingBallId = ball.id;
+  ball.carriedBy = 'b';
+  const { state: next, events } = run(state, [{ type: 'tackle', id: 'a', x: 1, y: 0 }]);
+  assert.deepStrictEqual(events.map((e) => e.type), ['tackle', 'tackleHit']);
+  assert.strictEqual(events[1].stole, true);
+  assert.strictEqual(next.players.get('b').carryingBallId, null);
+  assert.strictEqual(next.players.get('a').carryingBallId, ball.id);
+  assert.ok(next.players.get('b').stunnedUntil > next.tick);
+});
+
+test('a tackle by a player already carrying drops the ball loose', () => {
+  const state = playingState();
+  const tackler = state.players.get('a');
+  const target = state.players.get('b');
+  const [own, theirs] = ballList(state);
+  tackler.x = -5;
+  target.x = 5;
+  tackler.y = target.y = 0;
+  tackler.carryingBallId = own.id;
+  own.carriedBy = 'a';
+  target.carryingBallId = theirs.id;
+  theirs.carriedBy = 'b';
+  const { state: next, events } = run(state, [{ type: 'tackle', id: 'a', x: 1, y: 0 }]);
+  assert.strictEqual(events[1].stole, false);
+  assert.strictEqual(next.players.get('b').carryingBallId, null);
+  assert.strictEqual(next.balls.get(theirs.id).carriedBy, null);
+  assert.strictEqual(next.players.get('a').carryingBallId, own.id);
+});
+
+test('changing team drops the ball and respawns on the new side', () => {
+  const state = playingState();
+  const ball = ballList(state)[0];
+  state.players.get('a').carryingBallId = ball.id;
+  ball.carriedBy = 'a';
+  const next = run(state, [{ type: 'team', id: 'a', team: 'right' }]).state;
+  const player = next.players.get('a');
+  assert.strictEqual(player.team, 'right');
+  assert.strictEqual(player.carryingBallId, null);
+  assert.strictEqual(next.balls.get(ball.id).carriedBy, null);
+  assert.strictEqual(player.x, DEF.spawns.right[0].x);
+  assert.strictEqual(run(next, [{ type: 'team', id: 'a', team: 'nowhere' }]).state.players.get('a').team, 'right');
+});
+
+test('leaving drops the ball the player carried', () => {
+  const state = playingState();
+  const ball = ballList(state)[0];
+  state.players.get('a').carryingBallId = ball.id;
+  ball.carriedBy = 'a';
+  const next = run(state, [{ type: 'leave', id: 'a' }]).state;
+  assert.strictEqual(next.players.has('a'), false);
+  assert.strictEqual(next.balls.get(ball.id).carriedBy, null);
+});
+
+test('rules can be changed mid-match', () => {
+  const state = playingState();
+  const start = state.players.get('a');
+  const { state: next, events } = run(state, [
+    { type: 'rules', ballCount: 4, playerSpeed: Simulation.PLAYER_SPEED * 2 },
+    { type: 'input', id: 'a', x: 1, y: 0 },
+  ]);
+  assert.deepStrictEqual(events, [{ type: 'rules' }]);
+  assert.strictEqual(next.balls.size, 4);
+  assert.ok(Math.abs(next.players.get('a').x - start.x - (Simulation.PLAYER_SPEED * 2) / Simulation.DEFAULT_TICK_RATE) < 1e-9);
+  assert.strictEqual(run(next, [{ type: 'rules', ballCount: 1 }]).state.balls.size, 1);
+  assert.strictEqual(state.rules.ballCount, DEF.ballCount);
+});
+
+test('lowering the score target to a team\'s score ends the match', () => {
+  const state = playingState();
+  state.teamScores.left = 1;
+  const { state: next } = run(state, [{ type: 'rules', scoreTarget: 1 }]);
+  assert.strictEqual(next.match.phase, 'finished');
+  assert.strictEqual(next.match.winner, 'left');
+});
+
+test('scores can be reset without moving anyone', () => {
+  const state = playingState();
+  state.teamScores.left = 1;
+  state.players.get('a').score = 1;
+  const { state: next } = run(state, [{ type: 'resetScores' }]);
+  assert.deepStrictEqual(next.teamScores, { left: 0, right: 0 });
+  assert.strictEqual(next.players.get('a').score, 0);
+  assert.strictEqual(next.match.phase, 'playing');
+});
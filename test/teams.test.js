@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Teams = require('../lib/teams');
+
+test('new players go to the smallest team, the first listed on a tie', () => {
+  assert.strictEqual(Teams.smallest({ left: 2, right: 1 }), 'right');
+  assert.strictEqual(Teams.smallest({ north: 1, south: 1, east: 0, west: 0 }), 'east');
+});
+
+test('moves may not spread the teams further than the limit', () => {
+  assert.strictEqual(Teams.canMove({ left: 1, right: 1 }, 'left', 'right', 1), false);
+  assert.strictEqual(Teams.canMove({ left: 2, right: 1 }, 'left', 'right', 1), true);
+  assert.strictEqual(Teams.canMove({ left: 2, right: 2 }, 'left', 'right', 2), true);
+  // Spectators joining or leaving a team count as a move from or to nowhere
+  assert.strictEqual(Teams.canMove({ left: 1, right: 0 }, null, 'left', 1), false);
+  assert.strictEqual(Teams.canMove({ left: 1, right: 0 }, null, 'right', 1), true);
+  assert.strictEqual(Teams.canMove({ left: 1, right: 1 }, 'left', null, 1), true);
+  assert.strictEqual(Teams.canMove({ left: 1, right: 2 }, 'left', null, 1), false);
+});
+
+test('a move that narrows uneven teams is allowed even if still over the limit', () => {
+  assert.strictEqual(Teams.canMove({ left: 4, right: 0 }, 'left', 'right', 1), true);
+  assert.strictEqual(Teams.canMove({ left: 4, right: 0 }, null, 'right', 1), true);
+});
+
+test('balancing moves people from the biggest team to the smallest', () => {
+  assert.deepStrictEqual(Teams.balancingMoves({ left: 1, right: 1 }, 1), []);
+  assert.deepStrictEqual(Teams.balancingMoves({ left: 3, right: 1 }, 1), [['left', 'right']]);
+  assert.deepStrictEqual(Teams.balancingMoves({ left: 4, right: 0 }, 1), [['left', 'right'], ['left', 'right']]);
+  assert.deepStrictEqual(Teams.balancingMoves({ a: 3, b: 0, c: 0 }, 1), [['a', 'b'], ['a', 'c']]);
+});
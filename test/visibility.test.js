@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Visibility = require('../lib/visibility');
+const { testMap, withPlayers } = require('./helpers');
+
+// The test map with a bush in the top half and another in the bottom half
+const DEF = testMap({ bushes: [{ x: 0, y: 30, r: 15 }, { x: 0, y: -30, r: 15 }] });
+const RULES = { scoreTarget: 3, timeLimit: 0, minPlayers: 2, countdown: 0, restartDelay: 0 };
+
+// Players at the given positions, and the ball at `ball`
+function setUp(players, ball) {
+  const state = withPlayers(DEF, RULES, players.map(([id, team]) => [id, team]));
+  for (const [id, , x, y] of players) Object.assign(state.players.get(id), { x, y });
+  Object.assign(Array.from(state.balls.values())[0], ball);
+  return state;
+}
+
+function ids(view) {
+  return [view.players.map((p) => p.id).sort(), view.balls.length];
+}
+
+test('opponents and balls in a bush are hidden from the other team', () => {
+  const state = setUp([['hider', 'left', 0, 30], ['seeker', 'right', 60, 0]], { x: 0, y: -30 });
+  assert.deepStrictEqual(ids(Visibility.visibleTo(state, 'right')), [['seeker'], 0]);
+  // Your own team always sees you, and nothing hides the seeker
+  assert.deepStrictEqual(ids(Visibility.visibleTo(state, 'left')), [['hider', 'seeker'], 0]);
+});
+
+test('an opponent in the same bush, or close to it, sees what is inside', () => {
+  const state = setUp([['hider', 'left', 0, 30], ['seeker', 'right', 5, 32], ['far', 'right', 60, 0]], { x: 0, y: -30 });
+  assert.deepStrictEqual(ids(Visibility.visibleTo(state, 'right')), [['far', 'hider', 'seeker'], 0]);
+  // Just outside the bottom bush, within REVEAL_DISTANCE of the ball hidden in it
+  // but not of the hider
+  state.players.get('seeker').y = -12;
+  assert.deepStrictEqual(ids(Visibility.visibleTo(state, 'right')), [['far', 'seeker'], 1]);
+});
+
+test('a carried ball is seen wherever its carrier is', () => {
+  const state = setUp([['hider', 'left', 0, 30], ['carrier', 'right', 60, 0]], {});
+  const ball = Array.from(state.balls.values())[0];
+  Object.assign(ball, { x: 60, y: 0, carriedBy: 'carrier' });
+  state.players.get('carrier').carryingBallId = ball.id;
+  assert.deepStrictEqual(ids(Visibility.visibleTo(state, 'left')), [['carrier', 'hider'], 1]);
+  Object.assign(ball, { carriedBy: 'hider', x: 0, y: 30 });
+  assert.deepStrictEqual(ids(Visibility.visibleTo(state, 'right')), [['carrier'], 0]);
+});
+
+test('spectators see everyone', () => {
+  const state = setUp([['hider', 'left', 0, 30], ['seeker', 'right', 60, 0]], { x: 0, y: -30 });
+  assert.deepStrictEqual(ids(Visibility.visibleTo(state, null)), [['hider', 'seeker'], 1]);
+});